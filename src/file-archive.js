@@ -4,13 +4,38 @@ import { downloadZip } from "client-zip";
 // Note: For importing ZIPs, we use the `unzipit` package.
 // This enables reading entries directly from a File/Blob without a server.
 import { unzip } from "unzipit";
+import { encryptBlob, decryptBlob, encryptJson, decryptJson, digestBlob, toBase64, fromBase64 } from "./file-crypto.js";
+import { tarStream, untar, isTar } from "./tar-archive.js";
 
 /**
  * File Archive Component
  *
  * A component that provides ZIP archive export and import functionality for FileClerk.
  * Can export all stored files into a downloadable ZIP archive and import files from
- * ZIP archives back into FileClerk storage.
+ * ZIP archives back into FileClerk storage. Entries are laid out by folder
+ * (`files/<folder>/<filename>`) and the folder structure, including empty folders,
+ * is restored on import. Archives can also be written as tar or gzipped tar with the same
+ * layout and manifest; imports tell the formats apart by their first bytes.
+ *
+ * Archives of an encrypted FileClerk store stay encrypted: the manifest keeps only the
+ * key derivation settings, while the file list and every entry are AES-GCM ciphertext
+ * under the store's key. They can be imported with the store's passphrase at export time.
+ * Any store can also be exported with a password, which encrypts the archive the same way
+ * under a key derived from the password instead. These are not WinZip-AES archives: only
+ * File Archive can open them, and the manifest stays readable apart from the file list.
+ *
+ * ZIPs made by other tools (no manifest.json) are imported with their folder structure, each
+ * file's MIME type guessed from its extension or sniffed from its first bytes, and operating
+ * system junk such as __MACOSX/ and .DS_Store left out.
+ *
+ * The manifest records the SHA-256 and byte size of every file, so verifyArchive() can
+ * check an archive without importing it and importArchive() can refuse, skip or
+ * quarantine damaged entries.
+ *
+ * Archives are untrusted input: before anything is read, entry counts, sizes and compression
+ * ratios are held to configurable limits (LIMITS), the manifest's shape is validated and names
+ * that are absolute or climb out with ".." are refused, each with an "ARCHIVE_REJECTED" error
+ * naming the rule that tripped.
  *
  * @class FileArchive
  * @extends DataroomElement
@@ -22,9 +47,214 @@ import { unzip } from "unzipit";
  * // JavaScript usage:
  * const archive = document.querySelector('file-archive');
  * await archive.exportArchive(); // Downloads ZIP
+ * await archive.exportArchive({ saveAs: true, signal: controller.signal }); // Streams to a chosen file
  * await archive.importArchive(zipFile); // Imports from ZIP
+ * await archive.importArchive(encryptedZip, { passphrase: 'secret' });
+ * await archive.exportArchive({ format: 'tar.gz' }); // Gzipped tarball
+ * await archive.exportArchive({ password: 'hunter2' }); // Password-protected archive
+ * await archive.importArchive(protectedZip, { password: 'hunter2' });
+ * const { added, replaced, skipped } = await archive.importArchive(backup, { conflict: 'newest' });
+ * await archive.exportArchive({ tags: ['work'], since: '2024-01-01' }); // Selective
+ * await archive.exportArchive({ incremental: true }); // Changes since the last export
+ * await archive.importArchive([fullZip, incrementalZip]); // Restores a chain in order
+ * await archive.importArchive(photosZip, { include: ['*.jpg', '*.png'], exclude: ['drafts/**'] });
+ * const { files } = await archive.inspectArchive(zipFile); // Lists contents without importing
+ * await archive.importArchive(zipFile, { only: [files[0].id] });
+ * const { ok, missing, corrupt } = await archive.verifyArchive(backup);
+ * await archive.importArchive(backup, { integrity: 'refuse' }); // Imports nothing if damaged
+ * await archive.importArchive(upload, { limits: { maxEntries: 500 } }); // Tighter safety limits
+ *
+ * @fires archive-progress - While an archive is exported or verified, with files and bytes done
+ * @fires archive-rejected - When an archive breaks a safety limit or rule, with the rule and values
  */
 class FileArchive extends DataroomElement {
+  /**
+   * Version of the manifest format written by exportArchive()
+   * Version 1 manifests list files only; version 2 adds entry paths and folders; version 3
+   * adds archive ids, the base of incremental archives and the ids of the exported files;
+   * version 4 adds the SHA-256 and byte size of every file.
+   * @type {number}
+   * @constant
+   */
+  static MANIFEST_VERSION = 4;
+
+  /**
+   * Archive formats exportArchive() can write, with their file extension and MIME type
+   * @type {Object<string, Object>}
+   * @constant
+   */
+  static FORMATS = {
+    zip: { extension: ".zip", mimeType: "application/zip", description: "ZIP archive" },
+    tar: { extension: ".tar", mimeType: "application/x-tar", description: "Tar archive" },
+    "tar.gz": { extension: ".tar.gz", mimeType: "application/gzip", description: "Gzipped tar archive" },
+  };
+
+  /**
+   * Ways importArchive() can resolve a file that already exists in the store
+   * @type {Array<string>}
+   * @constant
+   */
+  static CONFLICT_STRATEGIES = ["skip", "overwrite", "keep-both", "newest"];
+
+  /**
+   * Ways importArchive() can handle entries that fail their manifest checksum
+   * @type {Array<string>}
+   * @constant
+   */
+  static INTEGRITY_MODES = ["skip", "refuse", "quarantine"];
+
+  /**
+   * Safety limits applied when an archive is read, so a hostile archive cannot exhaust memory,
+   * storage or CPU; override them per call with the limits option (Infinity turns one off)
+   * - maxEntries: files and folders in one archive
+   * - maxFileBytes: uncompressed size of one file
+   * - maxTotalBytes: uncompressed size of all files together (of the whole tar for tar.gz)
+   * - maxRatio: uncompressed to compressed size, checked once more than minRatioBytes came out
+   * - maxManifestBytes: size of manifest.json
+   * - maxKdfIterations: PBKDF2 iterations an encrypted archive may ask for
+   * @type {Object<string, number>}
+   * @constant
+   */
+  static LIMITS = {
+    maxEntries: 50000,
+    maxFileBytes: 4 * 1024 ** 3,
+    maxTotalBytes: 16 * 1024 ** 3,
+    maxRatio: 200,
+    minRatioBytes: 1024 ** 2,
+    maxManifestBytes: 64 * 1024 ** 2,
+    maxKdfIterations: 10000000,
+  };
+
+  /**
+   * Glob patterns of operating system clutter left out of imports (see matchesGlob())
+   * @type {Array<string>}
+   * @constant
+   */
+  static JUNK_PATTERNS = [
+    "**/__MACOSX/**",
+    "**/.Spotlight-V100/**",
+    "**/.Trashes/**",
+    "**/.fseventsd/**",
+    ".DS_Store",
+    "._*",
+    "Thumbs.db",
+    "ehthumbs.db",
+    "desktop.ini",
+  ];
+
+  /**
+   * MIME types by lowercase file extension, used when an archive does not record them
+   * @type {Object<string, string>}
+   * @constant
+   */
+  static MIME_TYPES = {
+    // Images
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    png: "image/png",
+    gif: "image/gif",
+    webp: "image/webp",
+    avif: "image/avif",
+    bmp: "image/bmp",
+    ico: "image/vnd.microsoft.icon",
+    svg: "image/svg+xml",
+    tif: "image/tiff",
+    tiff: "image/tiff",
+    heic: "image/heic",
+    // Audio
+    mp3: "audio/mpeg",
+    wav: "audio/wav",
+    ogg: "audio/ogg",
+    oga: "audio/ogg",
+    opus: "audio/opus",
+    flac: "audio/flac",
+    m4a: "audio/mp4",
+    aac: "audio/aac",
+    mid: "audio/midi",
+    midi: "audio/midi",
+    // Video
+    mp4: "video/mp4",
+    m4v: "video/mp4",
+    webm: "video/webm",
+    ogv: "video/ogg",
+    mov: "video/quicktime",
+    avi: "video/x-msvideo",
+    mkv: "video/x-matroska",
+    // Text and code
+    txt: "text/plain",
+    log: "text/plain",
+    md: "text/markdown",
+    markdown: "text/markdown",
+    csv: "text/csv",
+    tsv: "text/tab-separated-values",
+    html: "text/html",
+    htm: "text/html",
+    css: "text/css",
+    js: "text/javascript",
+    mjs: "text/javascript",
+    ts: "text/plain",
+    xml: "application/xml",
+    json: "application/json",
+    yaml: "application/yaml",
+    yml: "application/yaml",
+    ics: "text/calendar",
+    vcf: "text/vcard",
+    // Documents
+    pdf: "application/pdf",
+    rtf: "application/rtf",
+    doc: "application/msword",
+    docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    xls: "application/vnd.ms-excel",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ppt: "application/vnd.ms-powerpoint",
+    pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    odt: "application/vnd.oasis.opendocument.text",
+    ods: "application/vnd.oasis.opendocument.spreadsheet",
+    odp: "application/vnd.oasis.opendocument.presentation",
+    epub: "application/epub+zip",
+    // Archives, fonts and binaries
+    zip: "application/zip",
+    gz: "application/gzip",
+    tar: "application/x-tar",
+    "7z": "application/x-7z-compressed",
+    rar: "application/vnd.rar",
+    woff: "font/woff",
+    woff2: "font/woff2",
+    ttf: "font/ttf",
+    otf: "font/otf",
+    wasm: "application/wasm",
+  };
+
+  /**
+   * Leading-byte signatures used to sniff a MIME type when the extension is unknown
+   * Each has the bytes to match (null matches any byte) and the offset they start at
+   * @type {Array<Object>}
+   * @constant
+   */
+  static MAGIC_NUMBERS = [
+    { type: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+    { type: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+    { type: "image/webp", bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+    { type: "image/bmp", bytes: [0x42, 0x4d] },
+    { type: "image/tiff", bytes: [0x49, 0x49, 0x2a, 0x00] },
+    { type: "image/tiff", bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+    { type: "audio/wav", bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x41, 0x56, 0x45] },
+    { type: "video/x-msvideo", bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x41, 0x56, 0x49, 0x20] },
+    { type: "audio/mpeg", bytes: [0x49, 0x44, 0x33] },
+    { type: "audio/ogg", bytes: [0x4f, 0x67, 0x67, 0x53] },
+    { type: "audio/flac", bytes: [0x66, 0x4c, 0x61, 0x43] },
+    { type: "video/mp4", bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 },
+    { type: "video/webm", bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+    { type: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+    { type: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+    { type: "application/gzip", bytes: [0x1f, 0x8b] },
+    { type: "application/x-7z-compressed", bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+    { type: "application/wasm", bytes: [0x00, 0x61, 0x73, 0x6d] },
+    { type: "font/woff", bytes: [0x77, 0x4f, 0x46, 0x46] },
+    { type: "font/woff2", bytes: [0x77, 0x4f, 0x46, 0x32] },
+  ];
+
   /**
    * Initializes the file archive component
    * Sets up the target FileClerk selector and creates UI controls if verbose
@@ -46,25 +276,63 @@ class FileArchive extends DataroomElement {
         content: "Export ZIP"
       }, container);
       
-      exportBtn.addEventListener("click", () => this.exportArchive());
-
       const importBtn = this.create("button", {
         content: "Import ZIP"
       }, container);
 
+      const conflictSelect = this.create("select", {
+        class: "archive-conflict",
+        title: "When an imported file already exists"
+      }, container);
+
+      const labels = { skip: "Skip existing", overwrite: "Overwrite", "keep-both": "Keep both", newest: "Newest wins" };
+      this.create("option", { value: "", content: "Default for archive" }, conflictSelect);
+      for (const strategy of FileArchive.CONFLICT_STRATEGIES) {
+        this.create("option", { value: strategy, content: labels[strategy] }, conflictSelect);
+      }
+
+      const passwordInput = this.create("input", {
+        type: "password",
+        class: "archive-password",
+        placeholder: "Password (optional)",
+        autocomplete: "new-password",
+        title: "Protects exported ZIPs and opens protected ones"
+      }, container);
+
       const fileInput = this.create("input", {
         type: "file",
-        accept: ".zip",
+        accept: ".zip,.tar,.tar.gz,.tgz",
+        multiple: true,
+        style: "display: none;"
+      }, container);
+
+      const cancelBtn = this.create("button", {
+        content: "Cancel",
         style: "display: none;"
       }, container);
+
+      const status = this.create("span", {
+        class: "archive-status"
+      }, container);
       
       importBtn.addEventListener("click", () => fileInput.click());
 
       fileInput.addEventListener("change", async () => {
-        const file = fileInput.files && fileInput.files[0];
-        if (!file) return;
+        // Several files are restored as a chain of full and incremental archives
+        const files = [...(fileInput.files || [])];
+        if (files.length === 0) return;
         try {
-          await this.importArchive(file);
+          const options = { conflict: conflictSelect.value || undefined, password: passwordInput.value || undefined };
+          // A single archive is previewed first so the user can pick what to import
+          const report = files.length === 1
+            ? await this.importWithPreview(files[0], options)
+            : await this.importWithPrompt(files, options);
+          if (!report) {
+            status.textContent = "Import cancelled";
+            return;
+          }
+          const { added, replaced, skipped, deleted } = report;
+          status.textContent = `Imported ${added.length}, replaced ${replaced.length}, skipped ${skipped.length}, deleted ${deleted.length}`;
           this.log("Import complete");
         } catch (err) {
           console.error(err);
@@ -73,7 +341,183 @@ class FileArchive extends DataroomElement {
           fileInput.value = "";
         }
       });
+
+      exportBtn.addEventListener("click", async () => {
+        const controller = new AbortController();
+        const onCancel = () => controller.abort();
+        const onProgress = (event) => {
+          const { filesDone, filesTotal, bytesDone, bytesTotal } = event.detail;
+          const percent = bytesTotal ? Math.round((bytesDone / bytesTotal) * 100) : 100;
+          status.textContent = `Exporting ${filesDone}/${filesTotal} files (${percent}%)`;
+        };
+        cancelBtn.addEventListener("click", onCancel);
+        this.addEventListener("archive-progress", onProgress);
+        exportBtn.disabled = true;
+        cancelBtn.style.display = "";
+        try {
+          await this.exportArchive({ saveAs: true, signal: controller.signal, password: passwordInput.value || undefined });
+          status.textContent = "Export complete";
+        } catch (err) {
+          if (err && err.name === "AbortError") {
+            status.textContent = "Export cancelled";
+          } else {
+            console.error(err);
+            status.textContent = "";
+            alert(`Export failed: ${err.message || err}`);
+          }
+        } finally {
+          cancelBtn.removeEventListener("click", onCancel);
+          this.removeEventListener("archive-progress", onProgress);
+          exportBtn.disabled = false;
+          cancelBtn.style.display = "none";
+        }
+      });
+    }
+  }
+
+  /**
+   * Imports archives, asking for a password with window.prompt() while the archive needs one
+   * Used by the verbose UI; a wrong password asks again
+   * @param {File|Blob|Array<File|Blob>} archives - The archives to import
+   * @param {Object} [options] - Import options; see importArchive()
+   * @returns {Promise<Object|null>} The import report, or null when the prompt was cancelled
+   */
+  async importWithPrompt(archives, options = {}) {
+    const outcome = await this.withPasswordPrompt((password) => this.importArchive(archives, { ...options, password }), options.password);
+    return outcome && outcome.result;
+  }
+
+  /**
+   * Shows what an archive holds in a dialog and imports the files the user keeps selected
+   * Used by the verbose UI; asks for a password like importWithPrompt()
+   * @param {File|Blob} archive - The archive to import
+   * @param {Object} [options] - Import options; see importArchive()
+   * @returns {Promise<Object|null>} The import report, or null when the user cancelled
+   */
+  async importWithPreview(archive, options = {}) {
+    const outcome = await this.withPasswordPrompt((password) => this.inspectArchive(archive, { password }), options.password);
+    if (!outcome) return null;
+    const only = await this.chooseEntries(outcome.result);
+    if (!only) return null;
+    return await this.importArchive(archive, { ...options, password: outcome.password, only });
+  }
+
+  /**
+   * Runs a task needing an archive password, asking for it with window.prompt() while the
+   * archive is encrypted and the password is missing or wrong
+   * @param {Function} task - Called with the password (or undefined); returns a promise
+   * @param {string} [password] - Password to try first
+   * @returns {Promise<Object|null>} { result, password } with the task's result and the password
+   *   that worked, or null when the prompt was cancelled
+   */
+  async withPasswordPrompt(task, password) {
+    for (;;) {
+      try {
+        return { result: await task(password), password };
+      } catch (error) {
+        if (error.code !== "ARCHIVE_PASSWORD_REQUIRED" && error.code !== "ARCHIVE_PASSWORD_INCORRECT") {
+          throw error;
+        }
+        const message = error.code === "ARCHIVE_PASSWORD_INCORRECT"
+          ? "Incorrect password. Enter the archive password:"
+          : "This archive is password-protected. Enter its password:";
+        password = window.prompt(message);
+        if (!password) return null;
+      }
+    }
+  }
+
+  /**
+   * Opens a modal dialog listing an archive's files with checkboxes and previews
+   * Previews open in a <file-viewer> inside the dialog when that element is registered
+   * @param {Object} inspection - The result of inspectArchive()
+   * @returns {Promise<Array<string>|null>} Ids (or paths, for files without one) of the selected
+   *   files, or null when the dialog was cancelled
+   */
+  chooseEntries(inspection) {
+    const clerk = this.fileClerk;
+    const dialog = this.create("dialog", {
+      class: "archive-preview"
+    }, this);
+
+    const { files, format, encrypted } = inspection;
+    this.create("p", {
+      content: `${files.length} files in this ${format === "zip" ? "ZIP" : format} archive${encrypted ? " (encrypted)" : ""}`
+    }, dialog);
+
+    const list = this.create("ul", {
+      class: "archive-entries",
+      style: "list-style: none; padding: 0; max-height: 50vh; overflow: auto;"
+    }, dialog);
+
+    const previewMessage = this.create("p", {
+      class: "archive-preview-message"
+    }, dialog);
+    const viewer = this.create("file-viewer", {}, dialog);
+    const checkboxes = new Map();
+    for (const file of files) {
+      const row = this.create("li", {}, list);
+      const label = this.create("label", {}, row);
+      const checkbox = this.create("input", {
+        type: "checkbox"
+      }, label);
+      checkbox.checked = !file.missing;
+      checkbox.disabled = file.missing;
+      checkboxes.set(file, checkbox);
+
+      const size = file.size === null ? "size unknown" : clerk.formatFileSize(file.size);
+      const tags = file.tags.map((tag) => ` #${tag}`).join("");
+      this.create("span", {
+        content: ` ${file.path} (${size}, ${file.mimeType || "unknown type"})${tags}${file.missing ? " — missing from archive" : ""}`
+      }, label);
+
+      if (!file.missing) {
+        const previewButton = this.create("button", {
+          content: "Preview"
+        }, row);
+
+        previewButton.addEventListener("click", async () => {
+          previewMessage.textContent = "";
+          try {
+            const blob = await file.blob();
+            if (blob && typeof viewer.openFile === "function") {
+              viewer.openFile(blob);
+            }
+          } catch (error) {
+            // A damaged entry, or one over the archive limits, cannot be previewed
+            previewMessage.textContent = `Cannot preview ${file.path}: ${error.message}`;
+          }
+        });
+      }
     }
+
+    const actions = this.create("div", {
+      style: "display: flex; gap: 0.5rem;"
+    }, dialog);
+
+    const importButton = this.create("button", {
+      content: "Import selected"
+    }, actions);
+
+    const cancelButton = this.create("button", {
+      content: "Cancel"
+    }, actions);
+
+    return new Promise((resolve) => {
+      const finish = (selected) => {
+        if (typeof viewer.revokeObjectUrl === "function") viewer.revokeObjectUrl();
+        dialog.close();
+        dialog.remove();
+        resolve(selected);
+      };
+      importButton.addEventListener("click", () => {
+        finish(files.filter((file) => checkboxes.get(file).checked).map((file) => file.id || file.path));
+      });
+      cancelButton.addEventListener("click", () => finish(null));
+      // Escape closes the dialog
+      dialog.addEventListener("cancel", () => finish(null));
+      dialog.showModal();
+    });
   }
 
   /**
@@ -86,161 +530,1544 @@ class FileArchive extends DataroomElement {
   }
 
   /**
-   * Exports all files from FileClerk into a single ZIP archive for download
-   * Creates a manifest with file metadata and packages files into a downloadable ZIP
+   * Exports all files from the target FileClerk's store into a single ZIP (or tar) archive
+   * Creates a manifest with file metadata and streams the files into an archive named after the
+   * store, reading one file at a time. Encrypted stores produce an encrypted archive.
+   * By default the archive is downloaded; with saveAs (where showSaveFilePicker is supported)
+   * or writable it is written straight to disk without being held in memory.
+   *
+   * The selection options export a subset of the files; all given criteria must match.
+   * An incremental archive holds only the files changed (or added) since a base export,
+   * plus the ids of files deleted since then, and records the base's archiveId so
+   * importArchive() can restore a chain of archives in order.
+   * @param {Object} [options] - Export options
+   * @param {string} [options.format="zip"] - "zip", "tar" or "tar.gz" (gzip needs CompressionStream)
+   * @param {Array<string>} [options.ids] - Export only these files
+   * @param {Array<string>} [options.tags] - Export only files carrying all of these tags
+   * @param {Object} [options.metadata] - Export only files whose metadata has these key/value pairs
+   * @param {Date|string} [options.since] - Export only files modified after this time
+   * @param {Date|string} [options.until] - Export only files modified at or before this time
+   * @param {Function} [options.filter] - Export only files for which filter(descriptor) is true
+   * @param {boolean} [options.incremental=false] - Export only changes since the store's last export
+   * @param {File|Blob|Object} [options.base] - Export only changes since this archive (or its
+   *   parsed manifest); implies incremental
+   * @param {string} [options.password] - Encrypt the archive under a key derived from this password,
+   *   also used to read a password-protected base archive
+   * @param {AbortSignal} [options.signal] - Cancels the export; the promise rejects with the signal's reason
+   * @param {boolean} [options.saveAs=false] - Ask where to save with showSaveFilePicker(); call from
+   *   a user gesture, since the picker opens before anything else happens
+   * @param {FileSystemWritableFileStream} [options.writable] - Stream to write the archive to; it is
+   *   closed when the export finishes and aborted when it fails
    * @returns {Promise<void>}
-   * @throws {Error} When FileClerk is not found or not ready
+   * @throws {Error} When FileClerk is not found or not ready, its store is locked, the format is
+   *   unsupported, or an incremental export has no base
+   * @throws {DOMException} AbortError when the export is cancelled or the save dialog dismissed
+   * @fires archive-progress - Custom event with phase "export", filesDone, filesTotal, bytesDone and bytesTotal
    */
-  async exportArchive() {
+  async exportArchive({ format = "zip", signal, saveAs = false, writable, incremental = false, base, password, ...selection } = {}) {
     const clerk = this.fileClerk;
     if (!clerk || typeof clerk.listFiles !== "function") {
       throw new Error("File Clerk not found or not ready");
     }
+    const { extension, mimeType, description } = FileArchive.FORMATS[format] || {};
+    if (!extension) {
+      throw new Error(`Unknown archive format: ${format}`);
+    }
+    if (format === "tar.gz" && typeof CompressionStream !== "function") {
+      throw new Error("tar.gz archives need CompressionStream, which this browser does not support");
+    }
+    signal?.throwIfAborted();
 
-    const files = await clerk.listFiles();
+    const storeName = clerk.storeName || "default";
+    const kind = incremental || base ? "-incremental" : "";
+    const filename = `file-clerk-archive-${storeName}${kind}-${this.timestamp()}${extension}`;
+    if (!writable && saveAs && typeof window.showSaveFilePicker === "function") {
+      // The picker needs the user gesture that started the export, so it opens first
+      const handle = await window.showSaveFilePicker({
+        suggestedName: filename,
+        types: [{ description, accept: { [mimeType]: [extension] } }],
+      });
+      writable = await handle.createWritable();
+    }
+
+    try {
+      const baseExport = incremental || base ? await this.resolveBase(clerk, base, password) : null;
+      await this.writeArchive(clerk, filename, writable, signal, { format, selection, baseExport, password });
+    } catch (error) {
+      if (writable) {
+        await writable.abort(error).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Builds the manifest and streams the archive of a store to a writable stream or a download
+   * Records an unfiltered export in the store's settings as the base for the next incremental export
+   * @param {HTMLElement} clerk - The FileClerk to export
+   * @param {string} filename - Name of the downloaded archive
+   * @param {FileSystemWritableFileStream|undefined} writable - Where to write the archive, if not downloading
+   * @param {AbortSignal|undefined} signal - Cancels the export
+   * @param {Object} options - format and selection (see exportArchive()), baseExport (from
+   *   resolveBase(), or null) and password
+   * @returns {Promise<void>}
+   */
+  async writeArchive(clerk, filename, writable, signal, { format, selection, baseExport, password }) {
+    // A password gets its own salt and key; otherwise encrypted stores are exported under the store's key
+    let key = null;
+    let encryption = null;
+    if (password) {
+      ({ encryption, key } = await clerk.createEncryption(password));
+    } else if (clerk.encryption) {
+      key = clerk.requireKey();
+      encryption = clerk.encryption;
+    }
+    // Taken before listing, so changes made while exporting go into the next incremental
+    const generatedAt = new Date().toISOString();
+
+    // Descriptors only; contents are read one file at a time below
+    const allFiles = await clerk.listFiles({ sortBy: "path" });
+    const selected = allFiles.filter(this.selectionMatcher(selection));
+    const fileIds = selected.map((f) => f.id);
+    let files = selected;
+    let deleted = [];
+    if (baseExport) {
+      const known = new Set(baseExport.fileIds);
+      const live = new Set(allFiles.map((f) => f.id));
+      files = selected.filter((f) => !known.has(f.id) || f.modifiedAt > baseExport.generatedAt);
+      deleted = baseExport.fileIds.filter((id) => !live.has(id));
+    }
+    const folders = await clerk.listFolders();
 
     // Prepare manifest describing the entries (including MIME types for accurate restore)
-    const manifest = {
-      version: 1,
-      generatedAt: new Date().toISOString(),
-      files: files.map((f) => ({
+    const usedPaths = new Set();
+    const items = files.map((f) => {
+      const item = {
         id: f.id,
         filename: f.filename,
+        folder: f.folder,
         metadata: f.metadata,
-        mimeType: this.parseMimeFromDataUrl(f.contents) || undefined,
-      })),
+        tags: f.tags,
+        mimeType: f.mimeType || undefined,
+        createdAt: f.createdAt,
+        modifiedAt: f.modifiedAt,
+        // Checksums of the plaintext, so encrypted entries are verified after decryption
+        sha256: f.hash || undefined,
+        size: f.size,
+      };
+      item.entry = key ? this.entryPath(item, true) : this.uniqueEntryPath(`files${f.path}`, usedPaths);
+      return item;
+    });
+    const manifest = {
+      version: FileArchive.MANIFEST_VERSION,
+      schemaVersion: clerk.constructor.SCHEMA_VERSION,
+      archiveId: clerk.crypto.randomUUID(),
+      generatedAt,
+      store: clerk.storeName,
     };
+    if (baseExport) {
+      manifest.base = { archiveId: baseExport.archiveId, generatedAt: baseExport.generatedAt };
+    }
+    const chain = { fileIds, deleted };
+    if (key) {
+      manifest.encryption = encryption;
+      manifest.sealedFiles = toBase64(await encryptJson(items, key));
+      manifest.sealedFolders = toBase64(await encryptJson(folders, key));
+      manifest.sealedChain = toBase64(await encryptJson(chain, key));
+    } else {
+      manifest.files = items;
+      manifest.folders = folders;
+      Object.assign(manifest, chain);
+    }
+
+    const progress = this.progressReporter({
+      phase: "export",
+      filesDone: 0,
+      filesTotal: files.length,
+      bytesDone: 0,
+      bytesTotal: files.reduce((sum, f) => sum + (f.size || 0), 0),
+    });
+    progress();
+
+    // The archive writer pulls entries from the generator one at a time
+    const archive = this.archiveResponse(format, this.exportEntries(clerk, items, manifest, key, progress, signal));
+    if (writable) {
+      await archive.body.pipeTo(writable, { signal });
+    } else {
+      const archiveBlob = await archive.blob();
+      signal?.throwIfAborted();
+      this.triggerDownload(archiveBlob, filename);
+    }
+
+    // A selective export leaves out files that still exist; as a base it would keep the next
+    // incremental archive from recording their deletion
+    if (!this.isSelective(selection)) {
+      await clerk.settings.setItem("lastExport", { archiveId: manifest.archiveId, generatedAt, fileIds });
+    }
+  }
+
+  /**
+   * Checks whether export options select a subset of the files
+   * @param {Object} selection - ids, tags, metadata, since, until and filter; see exportArchive()
+   * @returns {boolean} True when any selection criterion is given
+   */
+  isSelective({ ids, tags, metadata, since, until, filter } = {}) {
+    return [ids, tags, metadata, since, until, filter].some((criterion) => criterion !== undefined && criterion !== null);
+  }
+
+  /**
+   * Wraps entries in a Response streaming them as an archive of the given format
+   * @param {string} format - "zip", "tar" or "tar.gz"
+   * @param {AsyncIterable<Object>} entries - Entries with name, input, size and lastModified
+   * @returns {Response} The archive, read through its body or blob()
+   */
+  archiveResponse(format, entries) {
+    if (format === "zip") {
+      return downloadZip(entries);
+    }
+    const tar = tarStream(entries);
+    const body = format === "tar.gz" ? tar.pipeThrough(new CompressionStream("gzip")) : tar;
+    return new Response(body, { headers: { "Content-Type": FileArchive.FORMATS[format].mimeType } });
+  }
+
+  /**
+   * Builds the predicate selecting the files of a selective export
+   * @param {Object} selection - ids, tags, metadata, since, until and filter; see exportArchive()
+   * @returns {Function} Predicate taking a descriptor
+   */
+  selectionMatcher({ ids, tags, metadata, since, until, filter } = {}) {
+    const idSet = ids ? new Set(ids) : null;
+    const after = since ? new Date(since).toISOString() : null;
+    const upTo = until ? new Date(until).toISOString() : null;
+    return (f) => (!idSet || idSet.has(f.id))
+      && (!tags || tags.every((tag) => (f.tags || []).includes(String(tag).trim().toLowerCase())))
+      && (!metadata || Object.entries(metadata).every(([name, value]) => (f.metadata || {})[name] === value))
+      && (!after || f.modifiedAt > after)
+      && (!upTo || f.modifiedAt <= upTo)
+      && (!filter || filter(f));
+  }
+
+  /**
+   * Finds the export an incremental archive builds on
+   * @param {HTMLElement} clerk - The FileClerk being exported
+   * @param {File|Blob|Object} [base] - A previous archive or its manifest; defaults to the store's last export
+   * @param {string} [password] - Password of a password-protected base archive
+   * @returns {Promise<Object>} { archiveId, generatedAt, fileIds } of the base export
+   * @throws {Error} When there is no base, or the base archive predates incremental backups
+   */
+  async resolveBase(clerk, base, password) {
+    if (!base) {
+      const lastExport = await clerk.settings.getItem("lastExport");
+      if (!lastExport) {
+        throw new Error(`Store "${clerk.storeName}" has not been exported yet; export a full archive first`);
+      }
+      return lastExport;
+    }
+
+    const manifest = base instanceof Blob ? (await this.readArchive(base)).manifest : base;
+    if (!manifest || !manifest.archiveId) {
+      throw new Error("The base archive has no archive id; only archives exported by this version can be a base");
+    }
+    const key = manifest.encryption ? await this.archiveKey(manifest.encryption, password) : null;
+    const { fileIds } = await this.manifestChain(manifest, key);
+    return { archiveId: manifest.archiveId, generatedAt: manifest.generatedAt, fileIds };
+  }
+
+  /**
+   * Reads the incremental backup fields of a manifest, decrypting them for encrypted archives
+   * @param {Object} manifest - The archive manifest
+   * @param {CryptoKey|null} key - The archive key, for encrypted archives
+   * @returns {Promise<Object>} { fileIds, deleted }, empty for archives predating incremental backups
+   */
+  async manifestChain(manifest, key) {
+    if (manifest.sealedChain) {
+      return await decryptJson(fromBase64(manifest.sealedChain), key);
+    }
+    return { fileIds: manifest.fileIds || [], deleted: manifest.deleted || [] };
+  }
 
-    // Convert each stored Data URL to a Blob for zipping
-    const zipEntries = await Promise.all(
-      files.map(async (f) => {
-        const blob = await this.dataUrlToBlob(f.contents);
-        const safeName = f.filename || "file";
-        const name = `files/${f.id}/${safeName}`;
-        return { name, input: blob, lastModified: new Date() };
-      })
-    );
+  /**
+   * Yields the entries of an export lazily, reading each file only when the archive writer asks for it
+   * Unencrypted files are streamed from the store; encrypted files are encrypted one at a time
+   * @param {HTMLElement} clerk - The FileClerk being exported
+   * @param {Array<Object>} items - Manifest items in entry order
+   * @param {Object} manifest - The manifest, written as the last entry
+   * @param {CryptoKey|null} key - The store key for encrypted archives
+   * @param {Function} progress - Progress reporter from progressReporter()
+   * @param {AbortSignal|undefined} signal - Cancels the export
+   * @yields {Object} Entries with name, input, size (of streamed inputs) and lastModified
+   */
+  async *exportEntries(clerk, items, manifest, key, progress, signal) {
+    for (const item of items) {
+      signal?.throwIfAborted();
+      let input;
+      const contents = key ? await clerk.getContents(item.id) : await clerk.getStream(item.id);
+      if (!contents) {
+        // Deleted since the export started; the manifest still lists it, import skips it
+        progress({ file: true });
+        continue;
+      }
+      if (key) {
+        input = await encryptBlob(contents, key);
+        progress({ bytes: contents.size, file: true });
+      } else {
+        input = contents.pipeThrough(new TransformStream({
+          transform(chunk, controller) {
+            signal?.throwIfAborted();
+            progress({ bytes: chunk.byteLength });
+            controller.enqueue(chunk);
+          },
+          flush() {
+            progress({ file: true });
+          },
+        }));
+      }
+      yield { name: item.entry, input, size: key ? undefined : item.size, lastModified: new Date() };
+    }
 
     // Add manifest.json to the root of the archive
-    zipEntries.push({
+    yield {
       name: "manifest.json",
       input: new Blob([JSON.stringify(manifest, null, 2)], { type: "application/json" }),
       lastModified: new Date(),
-    });
+    };
+  }
 
-    const zipBlob = await downloadZip(zipEntries).blob();
-    this.triggerDownload(zipBlob, `file-clerk-archive-${this.timestamp()}.zip`);
+  /**
+   * Creates a function that tracks archive progress and dispatches archive-progress events
+   * Events fire when a file completes and otherwise at most once per percent of the bytes
+   * @param {Object} state - Initial detail: phase, filesDone, filesTotal, bytesDone and bytesTotal
+   * @returns {Function} Reporter taking { bytes, file }: bytes just processed and whether a file completed
+   */
+  progressReporter(state) {
+    let reportedBytes = -1;
+    return ({ bytes = 0, file = false } = {}) => {
+      state.bytesDone += bytes;
+      if (file) state.filesDone += 1;
+      const step = Math.max(1, state.bytesTotal / 100);
+      if (!file && reportedBytes >= 0 && state.bytesDone - reportedBytes < step) return;
+      reportedBytes = state.bytesDone;
+      this.event("archive-progress", { ...state });
+    };
   }
 
   /**
-   * Imports all files from a ZIP archive generated by exportArchive()
-   * Reads the manifest and restores files with their original metadata
-   * @param {File|Blob} fileOrBlob - The ZIP file or Blob to import
-   * @returns {Promise<void>}
-   * @throws {Error} When FileClerk is not found or not ready
+   * Imports all files from a ZIP archive generated by exportArchive() into the target FileClerk's store
+   * Reads the manifest and restores files with their original ids, timestamps and metadata.
+   * A file conflicts when the store already has a file (live or trashed) with its id, or a
+   * live file at its path; the conflict strategy decides what happens to it:
+   * - "skip": keep the existing file (the default for full archives, so importing a backup
+   *   twice changes nothing)
+   * - "overwrite": replace the existing file's contents, path, metadata and tags (the replaced
+   *   version is kept as a revision; a trashed file is restored)
+   * - "keep-both": save the archived file alongside it under a new id and a numbered name
+   * - "newest": overwrite when the archived file was modified more recently, otherwise skip
+   *   (the default for incremental archives)
+   * Incremental archives also move the files deleted since their base to the trash, unless only,
+   * include, exclude or filter narrows the import. Pass a full archive and its incremental
+   * archives together, in any order, to restore the chain.
+   *
+   * ZIPs without a manifest (made by other tools) are imported entry by entry: folders are kept,
+   * each file's entry name is stored as metadata.archivePath, and MIME types come from the file
+   * extension or, failing that, the first bytes of the file.
+   *
+   * Each file is checked against the SHA-256 and size in the manifest (archives predating
+   * checksums are imported unchecked). The integrity mode decides what happens to a file
+   * that fails the check or cannot be decrypted:
+   * - "skip": leave it out and report it in skipped with reason "corrupt" (the default)
+   * - "refuse": verify every archive before importing anything, and throw if any file is
+   *   missing or corrupt
+   * - "quarantine": save it under /quarantine with a new id, the "quarantine" tag and the
+   *   expected and actual checksums in its metadata; entries that cannot be decrypted are skipped
+   * @param {File|Blob|Array<File|Blob>} archives - The ZIP file or Blob to import, or a chain of them
+   * @param {Object} [options] - Import options
+   * @param {string} [options.password] - Password of a password-protected archive, or the store
+   *   passphrase of an encrypted store's archive; not needed when the target store is unlocked and
+   *   still uses the key the archive was exported with
+   * @param {string} [options.passphrase] - Alias of password
+   * @param {string} [options.conflict] - Strategy for every conflict
+   * @param {Function} [options.onConflict] - Called as onConflict(incoming, existing) for each conflict,
+   *   with the archived file (id, path, filename, folder, metadata, tags, mimeType, createdAt, modifiedAt,
+   *   sha256, size)
+   *   and the existing descriptor; returns (or resolves to) a strategy, overriding conflict
+   * @param {boolean} [options.preserveIds=true] - Save new files under their archived ids when free
+   * @param {string} [options.integrity="skip"] - What to do with corrupt files: "skip", "refuse" or "quarantine"
+   * @param {Array<string>} [options.only] - Import only these files, given by id or path (as listed by
+   *   inspectArchive())
+   * @param {Array<string>} [options.include] - Import only files whose path matches one of these globs
+   *   (see matchesGlob())
+   * @param {Array<string>} [options.exclude] - Leave out files whose path matches one of these globs
+   * @param {Function} [options.filter] - Import only files for which filter({ path, size, mimeType, ... })
+   *   is true; it receives the same archived file as onConflict
+   * @param {boolean} [options.skipJunk=true] - Leave out __MACOSX/, .DS_Store and other clutter (see
+   *   JUNK_PATTERNS) in ZIPs without a manifest
+   * @param {Object} [options.limits] - Safety limits overriding LIMITS, e.g. { maxEntries: 100 }
+   * @returns {Promise<Object>} Report with added, replaced, deleted and quarantined (descriptors) and
+   *   skipped ({ id, path, reason, existing }, reason "conflict", "missing" for entries absent from
+   *   the ZIP or "corrupt", with the problem, expected and actual checksums and sizes)
+   * @throws {Error} When FileClerk is not found or not ready, the manifest version, a conflict
+   *   strategy or the integrity mode is unsupported, or the archives do not form one chain; with code
+   *   "ARCHIVE_PASSWORD_REQUIRED" or "ARCHIVE_PASSWORD_INCORRECT" when an encrypted archive cannot be
+   *   decrypted; with code "ARCHIVE_CORRUPT" and the verification report as error.report when
+   *   integrity is "refuse" and a file is missing or corrupt; with code "ARCHIVE_REJECTED" when an
+   *   archive breaks a safety rule (see rejection()). Archives are checked when opened, before anything
+   *   is imported, except that a file coming out larger than its entry declares stops the import there
    */
-  async importArchive(fileOrBlob) {
+  async importArchive(archives, { password, passphrase = password, conflict, onConflict, preserveIds = true, integrity = "skip", only, include, exclude, filter, skipJunk = true, limits } = {}) {
     const clerk = this.fileClerk;
     if (!clerk || typeof clerk.saveFile !== "function") {
       throw new Error("File Clerk not found or not ready");
     }
+    if (conflict !== undefined) {
+      this.checkConflictStrategy(conflict);
+    }
+    if (!FileArchive.INTEGRITY_MODES.includes(integrity)) {
+      throw new Error(`Unknown integrity mode: ${integrity}`);
+    }
+
+    const opened = [];
+    for (const archive of Array.isArray(archives) ? archives : [archives]) {
+      opened.push(await this.readArchive(archive, limits));
+    }
+    const chain = opened.length > 1 ? this.orderChain(opened) : opened;
+
+    if (integrity === "refuse") {
+      // Reads every file twice, but nothing is written unless the whole chain is intact
+      for (const { entries, manifest } of chain) {
+        const verification = await this.verifyEntries(entries, manifest, passphrase);
+        if (!verification.ok) {
+          const error = new Error(`Archive is damaged: ${verification.missing.length} missing and ${verification.corrupt.length} corrupt files`);
+          error.code = "ARCHIVE_CORRUPT";
+          error.report = verification;
+          throw error;
+        }
+      }
+    }
+
+    const report = { added: [], replaced: [], skipped: [], deleted: [], quarantined: [] };
+    for (const { entries, manifest } of chain) {
+      const strategy = conflict || (manifest && manifest.base ? "newest" : "skip");
+      await this.importEntries(clerk, entries, manifest, {
+        passphrase,
+        conflict: strategy,
+        onConflict,
+        preserveIds,
+        integrity,
+        only,
+        include,
+        exclude,
+        filter,
+        skipJunk,
+        report,
+      });
+    }
+
+    // Re-render if the clerk is verbose
+    if (clerk.hasAttribute && clerk.hasAttribute("verbose") && typeof clerk.renderFileList === "function") {
+      await clerk.renderFileList();
+    }
+
+    return report;
+  }
+
+  /**
+   * Lists what an archive holds without importing anything
+   * Entries are described from the manifest when there is one (so encrypted archives show their
+   * real names, sizes and metadata) and from the archive itself otherwise. Each file can be read
+   * for a preview with its blob() method.
+   * @param {File|Blob} fileOrBlob - The ZIP, tar or tar.gz file or Blob
+   * @param {Object} [options] - Inspection options
+   * @param {string} [options.password] - Password or passphrase for an encrypted archive; see importArchive()
+   * @param {string} [options.passphrase] - Alias of password
+   * @param {boolean} [options.skipJunk=true] - Leave out clutter in archives without a manifest
+   * @param {Object} [options.limits] - Safety limits overriding LIMITS
+   * @returns {Promise<Object>} { format, manifest, encrypted, folders, files }, files holding
+   *   { id, path, entry, filename, size, mimeType, metadata, tags, createdAt, modifiedAt, missing,
+   *   blob() }; pass ids or paths of the wanted files to importArchive() as only
+   * @throws {Error} When the manifest version is unsupported, with code "ARCHIVE_PASSWORD_REQUIRED"
+   *   or "ARCHIVE_PASSWORD_INCORRECT" when an encrypted archive cannot be decrypted, or with code
+   *   "ARCHIVE_REJECTED" when it breaks a safety rule
+   */
+  async inspectArchive(fileOrBlob, { password, passphrase = password, skipJunk = true, limits } = {}) {
+    const { entries, manifest, format } = await this.readArchive(fileOrBlob, limits);
+    const { items, folders, key } = await this.manifestContents(manifest, passphrase);
+    const inspection = { format, manifest, encrypted: Boolean(key), folders: [...folders], files: [] };
+
+    if (items) {
+      for (const item of items) {
+        const name = item.entry || this.entryPath(item, Boolean(key));
+        const entry = entries[name];
+        inspection.files.push({
+          id: item.id,
+          path: this.itemPath(item),
+          entry: name,
+          filename: item.filename,
+          size: item.size ?? (entry && !key ? entry.size : null),
+          mimeType: item.mimeType || this.guessMimeFromFilename(item.filename),
+          metadata: item.metadata || {},
+          tags: item.tags || [],
+          createdAt: item.createdAt,
+          modifiedAt: item.modifiedAt,
+          missing: !entry,
+          blob: async () => (entry ? (await this.checkEntry(entry, item, key)).blob : null),
+        });
+      }
+      return inspection;
+    }
+
+    for (const { name, path, directory, entry } of this.plainEntries(entries, skipJunk)) {
+      if (directory) {
+        inspection.folders.push(path);
+        continue;
+      }
+      const { incoming, read } = this.plainFile(name, path, entry);
+      inspection.files.push({
+        id: null,
+        entry: name,
+        ...incoming,
+        size: incoming.size ?? null,
+        mimeType: incoming.mimeType || "",
+        tags: [],
+        createdAt: incoming.modifiedAt,
+        missing: false,
+        blob: read,
+      });
+    }
+    return inspection;
+  }
+
+  /**
+   * Checks an archive against its manifest without importing anything
+   * Every file listed in the manifest is read (and decrypted, for encrypted archives) and its
+   * SHA-256 and size compared with the manifest's. Archives without a manifest, or exported
+   * before checksums were recorded, have nothing to compare with: their files are listed as
+   * unverified.
+   * @param {File|Blob} fileOrBlob - The ZIP file or Blob to check
+   * @param {Object} [options] - Verification options
+   * @param {string} [options.password] - Password or passphrase for an encrypted archive; see importArchive()
+   * @param {string} [options.passphrase] - Alias of password
+   * @param {Object} [options.limits] - Safety limits overriding LIMITS
+   * @returns {Promise<Object>} Report with ok (no missing or corrupt files), verified and unverified
+   *   ({ id, path, entry }), missing ({ id, path, entry }), corrupt ({ id, path, entry, problem,
+   *   expected, actual, expectedSize, actualSize }) and unexpected (names of ZIP entries the
+   *   manifest does not list)
+   * @throws {Error} When the manifest version is unsupported, with code "ARCHIVE_PASSWORD_REQUIRED"
+   *   or "ARCHIVE_PASSWORD_INCORRECT" when an encrypted archive cannot be decrypted, or with code
+   *   "ARCHIVE_REJECTED" when it breaks a safety rule
+   * @fires archive-progress - Custom event with phase "verify", filesDone, filesTotal, bytesDone and bytesTotal
+   */
+  async verifyArchive(fileOrBlob, { password, passphrase = password, limits } = {}) {
+    const { entries, manifest } = await this.readArchive(fileOrBlob, limits);
+    return await this.verifyEntries(entries, manifest, passphrase);
+  }
+
+  /**
+   * Checks the entries of an unzipped archive against its manifest
+   * @param {Object} entries - The archive's entries from openArchive()
+   * @param {Object|null} manifest - The archive's manifest
+   * @param {string} [passphrase] - Passphrase for an encrypted archive
+   * @returns {Promise<Object>} The verification report; see verifyArchive()
+   */
+  async verifyEntries(entries, manifest, passphrase) {
+    const report = { ok: true, verified: [], unverified: [], missing: [], corrupt: [], unexpected: [] };
+    const { items, key } = await this.manifestContents(manifest, passphrase);
+    if (!items) {
+      for (const { name, path, directory } of this.plainEntries(entries)) {
+        if (!directory) report.unverified.push({ id: null, path, entry: name });
+      }
+      return report;
+    }
+
+    const listed = new Set(["manifest.json"]);
+    const progress = this.progressReporter({
+      phase: "verify",
+      filesDone: 0,
+      filesTotal: items.length,
+      bytesDone: 0,
+      bytesTotal: items.reduce((sum, item) => sum + (item.size || 0), 0),
+    });
+    progress();
+    for (const item of items) {
+      const name = item.entry || this.entryPath(item, Boolean(key));
+      const found = { id: item.id, path: this.itemPath(item), entry: name };
+      listed.add(name);
+      if (!entries[name]) {
+        report.missing.push(found);
+      } else {
+        const check = await this.checkEntry(entries[name], item, key);
+        if (check.problem) {
+          report.corrupt.push({ ...found, ...this.corruption(item, check) });
+        } else {
+          report[item.sha256 ? "verified" : "unverified"].push(found);
+        }
+      }
+      progress({ bytes: item.size || 0, file: true });
+    }
+
+    // Folder entries are written by other ZIP tools and carry no data
+    report.unexpected = Object.keys(entries).filter((name) => !listed.has(name) && !name.endsWith("/"));
+    report.ok = report.missing.length === 0 && report.corrupt.length === 0;
+    return report;
+  }
+
+  /**
+   * Reads an archived file and checks it against the SHA-256 and size in its manifest item
+   * @param {Object} entry - The file's entry from openArchive()
+   * @param {Object} item - The manifest item
+   * @param {CryptoKey|null} key - The archive key, for encrypted archives
+   * @returns {Promise<Object>} { blob, sha256, size, problem }; problem is null when the file
+   *   matches (or the item has no checksum), else "size mismatch", "checksum mismatch" or
+   *   "unreadable" (blob is then null)
+   * @throws {Error} With code "ARCHIVE_REJECTED" when the entry comes out larger than allowed
+   */
+  async checkEntry(entry, item, key) {
+    const mimeType = item.mimeType || this.guessMimeFromFilename(item.filename);
+    let blob;
+    try {
+      blob = key ? await decryptBlob(await entry.blob(), key, mimeType) : await entry.blob(mimeType || undefined);
+    } catch (error) {
+      if (error.code === "ARCHIVE_REJECTED") throw error;
+      // AES-GCM refuses tampered ciphertext, so damaged encrypted entries end up here
+      return { blob: null, sha256: null, size: null, problem: "unreadable" };
+    }
+    if (!item.sha256) {
+      return { blob, sha256: null, size: blob.size, problem: null };
+    }
+    const sha256 = await digestBlob(blob);
+    let problem = null;
+    if (typeof item.size === "number" && blob.size !== item.size) {
+      problem = "size mismatch";
+    } else if (sha256 !== item.sha256) {
+      problem = "checksum mismatch";
+    }
+    return { blob, sha256, size: blob.size, problem };
+  }
+
+  /**
+   * Describes how a file failed its check, for verification and import reports
+   * @param {Object} item - The manifest item (or incoming file) with sha256 and size
+   * @param {Object} check - The result of checkEntry()
+   * @returns {Object} { problem, expected, actual, expectedSize, actualSize }
+   */
+  corruption(item, check) {
+    return {
+      problem: check.problem,
+      expected: item.sha256,
+      actual: check.sha256,
+      expectedSize: item.size,
+      actualSize: check.size,
+    };
+  }
+
+  /**
+   * Opens an archive, checks it against the safety limits and reads its manifest
+   * Entries are wrapped so reading one that comes out larger than allowed or than it declares
+   * is rejected too.
+   * @param {File|Blob} fileOrBlob - The ZIP, tar or tar.gz file or Blob
+   * @param {Object} [limits] - Safety limits overriding LIMITS
+   * @returns {Promise<Object>} { entries, manifest, format }; manifest is null when the archive has none
+   * @throws {Error} When a limit is not a number or the manifest version is newer than this File
+   *   Archive supports; with code "ARCHIVE_REJECTED" when the archive breaks a safety rule
+   */
+  async readArchive(fileOrBlob, limits = {}) {
+    const bounds = { ...FileArchive.LIMITS, ...limits };
+    for (const [name, value] of Object.entries(bounds)) {
+      if (typeof value !== "number" || !(value >= 0)) {
+        throw new Error(`Invalid archive limit ${name}: ${value}`);
+      }
+    }
 
-    // Unzip the archive
-    const { entries } = await unzip(fileOrBlob);
+    const opened = await this.openArchive(fileOrBlob, bounds);
+    this.checkEntries(opened.entries, bounds);
+    const entries = {};
+    // ZIP entries are inflated here when the browser can, reading from their local headers
+    const headers = opened.format === "zip" && typeof DecompressionStream === "function"
+      ? await this.zipLocalHeaders(fileOrBlob)
+      : new Map();
+    for (const [name, entry] of Object.entries(opened.entries)) {
+      const local = headers.has(name) ? { zip: fileOrBlob, offset: headers.get(name) } : null;
+      entries[name] = this.guardEntry(name, entry, bounds, local);
+    }
+    const { format } = opened;
 
-    // Try to read manifest first
     const manifestEntry = entries["manifest.json"]; // exact root path
     let manifest = null;
     if (manifestEntry) {
+      if (manifestEntry.size > bounds.maxManifestBytes) {
+        throw this.rejection("max-manifest-bytes", `manifest.json is ${manifestEntry.size} bytes, over the limit of ${bounds.maxManifestBytes}`, {
+          entry: "manifest.json",
+          limit: bounds.maxManifestBytes,
+          actual: manifestEntry.size,
+        });
+      }
       const text = await manifestEntry.text();
-      manifest = JSON.parse(text);
+      try {
+        manifest = JSON.parse(text);
+      } catch (cause) {
+        throw this.rejection("manifest-schema", `manifest.json is not valid JSON (${cause.message})`, { entry: "manifest.json" });
+      }
+      this.validateManifest(manifest, bounds);
+      if (manifest.version > FileArchive.MANIFEST_VERSION) {
+        throw new Error(`Archive manifest version ${manifest.version} is newer than this File Archive supports (${FileArchive.MANIFEST_VERSION})`);
+      }
     }
+    return { entries, manifest, format };
+  }
 
-    if (manifest && Array.isArray(manifest.files)) {
-      // Import using manifest metadata
-      for (const item of manifest.files) {
-        const path = `files/${item.id}/${item.filename || "file"}`;
+  /**
+   * Reads the entries of a ZIP, tar or gzipped tar archive, telling them apart by their first bytes
+   * A gzipped archive is decompressed into memory before its entries are read, stopping as soon as
+   * it outgrows maxTotalBytes or maxRatio; tar archives are read up to maxEntries entries, and a
+   * ZIP whose directory lists more than maxEntries is rejected before the directory is read
+   * @param {Blob} blob - The archive
+   * @param {Object} [limits=FileArchive.LIMITS] - Safety limits
+   * @returns {Promise<Object>} { entries, format }: entries keyed by entry name, with unzipit's entry
+   *   interface, and format "zip", "tar" or "tar.gz"
+   * @throws {Error} When gzip data is not a tar archive or DecompressionStream is unsupported; with
+   *   code "ARCHIVE_REJECTED" when decompression or the entry count goes over a limit
+   */
+  async openArchive(blob, limits = FileArchive.LIMITS) {
+    const head = new Uint8Array(await blob.slice(0, 512).arrayBuffer());
+    if (head[0] === 0x1f && head[1] === 0x8b) {
+      if (typeof DecompressionStream !== "function") {
+        throw new Error("Gzipped archives need DecompressionStream, which this browser does not support");
+      }
+      const tar = await this.readLimited(blob.stream().pipeThrough(new DecompressionStream("gzip")), (bytes) => {
+        if (bytes > limits.maxTotalBytes) {
+          return this.rejection("max-total-bytes", `the gzip data expands to more than ${limits.maxTotalBytes} bytes`, {
+            limit: limits.maxTotalBytes,
+            actual: bytes,
+          });
+        }
+        if (bytes > limits.minRatioBytes && bytes / blob.size > limits.maxRatio) {
+          return this.rejection("max-ratio", `the gzip data expands more than ${limits.maxRatio} times`, {
+            limit: limits.maxRatio,
+            actual: bytes / blob.size,
+          });
+        }
+        return null;
+      });
+      if (!isTar(new Uint8Array(await tar.slice(0, 512).arrayBuffer()))) {
+        throw new Error("Unsupported archive: the gzip data is not a tar archive");
+      }
+      return { entries: await this.untarEntries(tar, limits), format: "tar.gz" };
+    }
+    if (isTar(head)) {
+      return { entries: await this.untarEntries(blob, limits), format: "tar" };
+    }
+    // unzipit parses every directory record up front, so the count is checked first
+    const count = await this.zipEntryCount(blob);
+    if (count > limits.maxEntries) {
+      throw this.rejection("max-entries", `the archive has ${count} entries, over the limit of ${limits.maxEntries}`, {
+        limit: limits.maxEntries,
+        actual: count,
+      });
+    }
+    return { ...(await unzip(blob)), format: "zip" };
+  }
+
+  /**
+   * Reads the entry count from a ZIP's end of central directory record (or its ZIP64 version)
+   * @param {Blob} zip - The ZIP archive
+   * @returns {Promise<number>} The number of entries the directory lists, or 0 when the record
+   *   cannot be found (unzip() then reports the damaged archive)
+   */
+  async zipEntryCount(zip) {
+    const directory = await this.zipDirectory(zip);
+    return directory ? directory.count : 0;
+  }
+
+  /**
+   * Reads where a ZIP's central directory is from its end of central directory record (or its
+   * ZIP64 version)
+   * @param {Blob} zip - The ZIP archive
+   * @returns {Promise<Object|null>} { count, size, offset } of the directory, or null when the
+   *   record cannot be found
+   */
+  async zipDirectory(zip) {
+    // The record is 22 bytes plus a comment of up to 65535 bytes, at the very end
+    const start = Math.max(0, zip.size - 22 - 0xffff);
+    const tail = new DataView(await zip.slice(start).arrayBuffer());
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+      if (tail.getUint32(i, true) !== 0x06054b50) continue;
+      const directory = {
+        count: tail.getUint16(i + 10, true),
+        size: tail.getUint32(i + 12, true),
+        offset: tail.getUint32(i + 16, true),
+      };
+      if (directory.count !== 0xffff && directory.offset !== 0xffffffff) return directory;
+
+      // ZIP64: a locator just before the record points at the ZIP64 record
+      const at = start + i - 20;
+      const locator = at >= 0 ? new DataView(await zip.slice(at, at + 20).arrayBuffer()) : null;
+      if (!locator || locator.getUint32(0, true) !== 0x07064b50) return directory;
+      const offset = Number(locator.getBigUint64(8, true));
+      const record = new DataView(await zip.slice(offset, offset + 56).arrayBuffer());
+      if (record.byteLength < 56 || record.getUint32(0, true) !== 0x06064b50) return directory;
+      return {
+        count: Number(record.getBigUint64(32, true)),
+        size: Number(record.getBigUint64(40, true)),
+        offset: Number(record.getBigUint64(48, true)),
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Reads a stream into a Blob, stopping as soon as a byte count check fails
+   * @param {ReadableStream} stream - The stream, typically decompressing
+   * @param {Function} check - Called with the bytes read so far; returns an error to stop with, or null
+   * @returns {Promise<Blob>} The bytes read
+   * @throws {Error} The error returned by check, or the stream's own
+   */
+  async readLimited(stream, check) {
+    // Kept aside because the Response may report a stream error as a TypeError of its own
+    let rejected = null;
+    let bytes = 0;
+    const guard = new TransformStream({
+      transform: (chunk, controller) => {
+        bytes += chunk.byteLength;
+        rejected = check(bytes);
+        if (rejected) throw rejected;
+        controller.enqueue(chunk);
+      },
+    });
+    try {
+      return await new Response(stream.pipeThrough(guard)).blob();
+    } catch (error) {
+      throw rejected || error;
+    }
+  }
+
+  /**
+   * Reads the entries of a tar archive, stopping once there are more than maxEntries
+   * @param {Blob} tar - The uncompressed tar archive
+   * @param {Object} limits - Safety limits
+   * @returns {Promise<Object>} The entries keyed by entry name
+   * @throws {Error} With code "ARCHIVE_REJECTED" and rule "max-entries" when there are too many
+   */
+  async untarEntries(tar, limits) {
+    const { entries, limited } = await untar(tar, { limit: limits.maxEntries });
+    if (limited) {
+      throw this.rejection("max-entries", `the archive has more than ${limits.maxEntries} entries`, {
+        limit: limits.maxEntries,
+        actual: null,
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Checks the entries of an opened archive against the safety limits and path rules
+   * Sizes are the uncompressed sizes the entries declare; compressed sizes are only known for ZIPs
+   * @param {Object} entries - The archive's entries from openArchive()
+   * @param {Object} limits - Safety limits
+   * @returns {void}
+   * @throws {Error} With code "ARCHIVE_REJECTED" when a limit is exceeded or an entry name is unsafe
+   */
+  checkEntries(entries, limits) {
+    const names = Object.keys(entries);
+    if (names.length > limits.maxEntries) {
+      throw this.rejection("max-entries", `the archive has ${names.length} entries, over the limit of ${limits.maxEntries}`, {
+        limit: limits.maxEntries,
+        actual: names.length,
+      });
+    }
+
+    let total = 0;
+    for (const name of names) {
+      this.checkName(name);
+      const { size, compressedSize } = entries[name];
+      if (typeof size !== "number") continue;
+      if (size > limits.maxFileBytes) {
+        throw this.rejection("max-file-bytes", `${name} is ${size} bytes, over the limit of ${limits.maxFileBytes}`, {
+          entry: name,
+          limit: limits.maxFileBytes,
+          actual: size,
+        });
+      }
+      total += size;
+      if (total > limits.maxTotalBytes) {
+        throw this.rejection("max-total-bytes", `the archive holds more than ${limits.maxTotalBytes} bytes`, {
+          entry: name,
+          limit: limits.maxTotalBytes,
+          actual: total,
+        });
+      }
+      const ratio = typeof compressedSize === "number" ? size / Math.max(compressedSize, 1) : 0;
+      if (size > limits.minRatioBytes && ratio > limits.maxRatio) {
+        throw this.rejection("max-ratio", `${name} expands ${Math.round(ratio)} times, over the limit of ${limits.maxRatio}`, {
+          entry: name,
+          limit: limits.maxRatio,
+          actual: ratio,
+        });
+      }
+    }
+  }
+
+  /**
+   * Wraps an archive entry so its contents are rejected when they come out larger than the entry
+   * declares or than maxFileBytes
+   * A declared size can be forged, and openArchive() only checks the declared ones. ZIP entries
+   * with a known local header are decompressed here, one chunk at a time, so reading stops at the
+   * limit instead of after the whole entry has been inflated. Other entries are read by the archive
+   * reader, after their declared size is checked again.
+   * @param {string} name - The entry name
+   * @param {Object} entry - The entry from openArchive()
+   * @param {Object} limits - Safety limits
+   * @param {Object|null} [local] - { zip, offset }: the ZIP and the entry's local header offset
+   *   from zipLocalHeaders(), or null
+   * @returns {Object} An entry with the same fields, whose blob(), arrayBuffer() and text() check the size
+   */
+  guardEntry(name, entry, limits, local = null) {
+    const problem = (size) => {
+      if (size > limits.maxFileBytes) {
+        return this.rejection("max-file-bytes", `${name} is ${size} bytes, over the limit of ${limits.maxFileBytes}`, {
+          entry: name,
+          limit: limits.maxFileBytes,
+          actual: size,
+        });
+      }
+      if (typeof entry.size === "number" && size > entry.size) {
+        return this.rejection("size-mismatch", `${name} holds ${size} bytes but declares ${entry.size}`, {
+          entry: name,
+          limit: entry.size,
+          actual: size,
+        });
+      }
+      return null;
+    };
+    const check = (size) => {
+      const error = problem(size);
+      if (error) throw error;
+    };
+    // Inherits the entry's fields and methods, whatever class the archive reader uses
+    const guarded = Object.create(entry);
+    guarded.text = async () => new TextDecoder().decode(await guarded.arrayBuffer());
+    if (local) {
+      guarded.blob = async (type = "application/octet-stream") => {
+        const blob = await this.readLimited(await this.zipEntryStream(local.zip, entry, local.offset), problem);
+        return blob.slice(0, blob.size, type);
+      };
+      guarded.arrayBuffer = async () => await (await guarded.blob()).arrayBuffer();
+      return guarded;
+    }
+    // The reader inflates the whole entry before its size can be measured, so refuse to start
+    // on one that already declares too much
+    const declared = () => check(typeof entry.size === "number" ? entry.size : 0);
+    guarded.blob = async (type) => {
+      declared();
+      const blob = await entry.blob(type);
+      check(blob.size);
+      return blob;
+    };
+    guarded.arrayBuffer = async () => {
+      declared();
+      const buffer = await entry.arrayBuffer();
+      check(buffer.byteLength);
+      return buffer;
+    };
+    return guarded;
+  }
+
+  /**
+   * Finds where each entry's local file header starts, by reading the ZIP's central directory
+   * unzipit reads the same records but does not expose the offsets. Names are decoded as UTF-8,
+   * as unzipit does, and when two entries share a name the later one wins, as in its entries.
+   * @param {Blob} zip - The ZIP archive
+   * @returns {Promise<Map<string, number>>} Local header offsets keyed by entry name
+   * @throws {Error} When the end of central directory record or a directory record is damaged
+   */
+  async zipLocalHeaders(zip) {
+    const damaged = () => new Error("The ZIP's central directory is damaged");
+    const { count, size, offset } = (await this.zipDirectory(zip)) || {};
+    if (count === undefined) throw damaged();
+
+    const directory = new DataView(await zip.slice(offset, offset + size).arrayBuffer());
+    const bytes = new Uint8Array(directory.buffer);
+    const decoder = new TextDecoder();
+    const headers = new Map();
+    let at = 0;
+    for (let n = 0; n < count; n++) {
+      if (at + 46 > directory.byteLength || directory.getUint32(at, true) !== 0x02014b50) throw damaged();
+      const nameLength = directory.getUint16(at + 28, true);
+      const extraLength = directory.getUint16(at + 30, true);
+      const commentLength = directory.getUint16(at + 32, true);
+      if (at + 46 + nameLength + extraLength + commentLength > directory.byteLength) throw damaged();
+      const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+      let local = directory.getUint32(at + 42, true);
+      if (local === 0xffffffff) {
+        // The ZIP64 extra field holds the 64-bit sizes and offset whose 32-bit fields are full, in order
+        const extraEnd = at + 46 + nameLength + extraLength;
+        let field = at + 46 + nameLength;
+        while (field + 4 <= extraEnd && directory.getUint16(field, true) !== 0x0001) {
+          field += 4 + directory.getUint16(field + 2, true);
+        }
+        let value = field + 4;
+        if (directory.getUint32(at + 24, true) === 0xffffffff) value += 8;
+        if (directory.getUint32(at + 20, true) === 0xffffffff) value += 8;
+        if (value + 8 > extraEnd) throw damaged();
+        local = Number(directory.getBigUint64(value, true));
+      }
+      headers.set(name, local);
+      at += 46 + nameLength + extraLength + commentLength;
+    }
+    return headers;
+  }
+
+  /**
+   * Streams the decompressed data of an unzipit entry straight from the ZIP
+   * @param {Blob} zip - The ZIP archive
+   * @param {Object} entry - The unzipit entry
+   * @param {number} offset - Where the entry's local file header starts, from zipLocalHeaders()
+   * @returns {Promise<ReadableStream>} The entry's bytes
+   * @throws {Error} When the entry is encrypted, its local header is damaged or its compression
+   *   method is neither stored nor deflate
+   */
+  async zipEntryStream(zip, entry, offset) {
+    if (entry.encrypted) {
+      throw new Error(`${entry.name} is encrypted with ZIP encryption, which is not supported`);
+    }
+    if (entry.compressionMethod !== 0 && entry.compressionMethod !== 8) {
+      throw new Error(`${entry.name} uses unsupported compression method ${entry.compressionMethod}`);
+    }
+    const header = new DataView(await zip.slice(offset, offset + 30).arrayBuffer());
+    if (header.byteLength < 30 || header.getUint32(0, true) !== 0x04034b50) {
+      throw new Error(`${entry.name} has a damaged local file header`);
+    }
+    // The name and extra field lengths of the local header can differ from the directory's
+    const start = offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    const data = zip.slice(start, start + entry.compressedSize).stream();
+    return entry.compressionMethod === 8 ? data.pipeThrough(new DecompressionStream("deflate-raw")) : data;
+  }
+
+  /**
+   * Checks that an entry name, or a path from the manifest, stays inside the archive
+   * Backslashes count as separators, as Windows tools write them
+   * @param {string} name - The name, relative to the archive root
+   * @param {string} [entry=name] - The entry reported when the name is rejected
+   * @returns {void}
+   * @throws {Error} With code "ARCHIVE_REJECTED" and rule "invalid-name" (control characters),
+   *   "absolute-path" (a leading slash or drive letter) or "path-traversal" (a ".." segment)
+   */
+  checkName(name, entry = name) {
+    if (/[\u0000-\u001f\u007f]/.test(name)) {
+      throw this.rejection("invalid-name", `${JSON.stringify(name)} contains control characters`, { entry });
+    }
+    if (/^[\\/]/.test(name) || /^[a-z]:/i.test(name)) {
+      throw this.rejection("absolute-path", `${name} is an absolute path`, { entry });
+    }
+    if (name.split(/[\\/]/).includes("..")) {
+      throw this.rejection("path-traversal", `${name} points outside the archive`, { entry });
+    }
+  }
+
+  /**
+   * Checks the shape of a parsed manifest.json
+   * The file list and folders are checked by validateItems() once they are decrypted
+   * @param {*} manifest - The parsed manifest
+   * @param {Object} limits - Safety limits
+   * @returns {void}
+   * @throws {Error} With code "ARCHIVE_REJECTED" and rule "manifest-schema" when a field has the
+   *   wrong type, or "max-kdf-iterations" when the encryption settings ask for too much work
+   */
+  validateManifest(manifest, limits) {
+    const invalid = (message) => this.rejection("manifest-schema", `manifest.json ${message}`, { entry: "manifest.json" });
+    if (!this.isPlainObject(manifest)) throw invalid("is not an object");
+    if (!Number.isInteger(manifest.version) || manifest.version < 1) throw invalid("has no valid version");
+
+    const fields = {
+      schemaVersion: "number",
+      archiveId: "string",
+      generatedAt: "string",
+      store: "string",
+      base: "object",
+      files: "array",
+      folders: "array",
+      fileIds: "array",
+      deleted: "array",
+      encryption: "object",
+      sealedFiles: "string",
+      sealedFolders: "string",
+      sealedChain: "string",
+    };
+    for (const [field, type] of Object.entries(fields)) {
+      const value = manifest[field];
+      if (value === undefined) continue;
+      const valid = type === "array" ? Array.isArray(value) : type === "object" ? this.isPlainObject(value) : typeof value === type;
+      if (!valid) throw invalid(`has an invalid "${field}" field`);
+    }
+    for (const field of ["fileIds", "deleted"]) {
+      if (manifest[field] && !manifest[field].every((id) => typeof id === "string")) throw invalid(`has an invalid "${field}" field`);
+    }
+    if (manifest.base && typeof manifest.base.archiveId !== "string") throw invalid("has an invalid base");
+
+    const { encryption } = manifest;
+    if (encryption) {
+      if (typeof encryption.salt !== "string" || typeof encryption.verifier !== "string" || typeof manifest.sealedFiles !== "string") {
+        throw invalid("has incomplete encryption settings");
+      }
+      if (!Number.isInteger(encryption.iterations) || encryption.iterations < 1) {
+        throw invalid("has an invalid PBKDF2 iteration count");
+      }
+      if (encryption.iterations > limits.maxKdfIterations) {
+        throw this.rejection("max-kdf-iterations", `manifest.json asks for ${encryption.iterations} PBKDF2 iterations, over the limit of ${limits.maxKdfIterations}`, {
+          entry: "manifest.json",
+          limit: limits.maxKdfIterations,
+          actual: encryption.iterations,
+        });
+      }
+    }
+  }
+
+  /**
+   * Checks the file list and folders of a manifest, which decide the entry names read and the
+   * paths files are saved under
+   * @param {*} items - The manifest's file list
+   * @param {*} folders - The manifest's folder paths
+   * @returns {void}
+   * @throws {Error} With code "ARCHIVE_REJECTED" and rule "manifest-schema" when an item has the wrong
+   *   shape, or the rule of checkName() when a path is unsafe
+   */
+  validateItems(items, folders) {
+    const invalid = (message, entry = "manifest.json") => this.rejection("manifest-schema", `manifest.json ${message}`, { entry });
+    if (!Array.isArray(items)) throw invalid("has an invalid file list");
+    if (!Array.isArray(folders)) throw invalid("has an invalid folder list");
+
+    // Store paths start with "/"; what follows must be safe as a relative path
+    const checkFolder = (folder, entry) => {
+      if (typeof folder !== "string" || !folder.startsWith("/")) throw invalid(`has an invalid folder ${JSON.stringify(folder)}`, entry);
+      this.checkName(folder.slice(1), entry);
+    };
+    for (const folder of folders) {
+      checkFolder(folder, "manifest.json");
+    }
+
+    for (const item of items) {
+      if (!this.isPlainObject(item)) throw invalid("lists a file that is not an object");
+      const entry = typeof item.entry === "string" ? item.entry : "manifest.json";
+      const { filename } = item;
+      if (typeof filename !== "string" || filename === "" || filename === ".") {
+        throw invalid(`lists a file with an invalid filename`, entry);
+      }
+      this.checkName(filename, entry);
+      if (/[\\/]/.test(filename)) {
+        throw this.rejection("invalid-name", `the filename ${filename} contains a path separator`, { entry });
+      }
+      if (item.folder !== undefined) checkFolder(item.folder, entry);
+      if (item.entry !== undefined) {
+        if (typeof item.entry !== "string" || item.entry === "") throw invalid(`lists ${filename} with an invalid entry`);
+        this.checkName(item.entry);
+      }
+      for (const field of ["id", "mimeType", "createdAt", "modifiedAt"]) {
+        if (item[field] !== undefined && item[field] !== null && typeof item[field] !== "string") {
+          throw invalid(`lists ${filename} with an invalid ${field}`, entry);
+        }
+      }
+      if (item.metadata !== undefined && item.metadata !== null && !this.isPlainObject(item.metadata)) {
+        throw invalid(`lists ${filename} with invalid metadata`, entry);
+      }
+      if (item.tags !== undefined && !(Array.isArray(item.tags) && item.tags.every((tag) => typeof tag === "string"))) {
+        throw invalid(`lists ${filename} with invalid tags`, entry);
+      }
+      if (item.sha256 !== undefined && !(typeof item.sha256 === "string" && /^[0-9a-f]{64}$/.test(item.sha256))) {
+        throw invalid(`lists ${filename} with an invalid sha256`, entry);
+      }
+      if (item.size !== undefined && !(Number.isSafeInteger(item.size) && item.size >= 0)) {
+        throw invalid(`lists ${filename} with an invalid size`, entry);
+      }
+    }
+  }
+
+  /**
+   * Tests whether a value is a plain JSON object (not null or an array)
+   * @param {*} value - The value
+   * @returns {boolean} True for objects
+   */
+  isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * Creates the error for an archive that breaks a safety rule, and announces it
+   * Rules: "max-entries", "max-file-bytes", "max-total-bytes", "max-ratio", "max-manifest-bytes",
+   * "max-kdf-iterations", "size-mismatch", "manifest-schema", "invalid-name", "absolute-path"
+   * and "path-traversal"
+   * @param {string} rule - The rule that tripped
+   * @param {string} message - What was wrong
+   * @param {Object} [details] - entry (the offending entry name), limit and actual value, when known
+   * @returns {Error} Error with code "ARCHIVE_REJECTED", rule, entry, limit and actual
+   * @fires archive-rejected - Custom event with rule, message, entry, limit and actual
+   */
+  rejection(rule, message, { entry = null, limit = null, actual = null } = {}) {
+    const error = new Error(`Archive rejected: ${message}`);
+    error.code = "ARCHIVE_REJECTED";
+    Object.assign(error, { rule, entry, limit, actual });
+    this.event("archive-rejected", { rule, message, entry, limit, actual });
+    return error;
+  }
+
+  /**
+   * Orders archives so each incremental archive follows its base
+   * The chain starts with the one archive whose base is not among them (a full archive, or an
+   * incremental whose base was imported earlier)
+   * @param {Array<Object>} archives - Archives from readArchive()
+   * @returns {Array<Object>} The archives in import order
+   * @throws {Error} When an archive has no archive id or the archives do not form a single chain
+   */
+  orderChain(archives) {
+    if (archives.some(({ manifest }) => !manifest || !manifest.archiveId)) {
+      throw new Error("Only archives exported with an archive id can be imported as a chain");
+    }
+    const ids = new Set(archives.map(({ manifest }) => manifest.archiveId));
+    const baseOf = ({ manifest }) => (manifest.base && ids.has(manifest.base.archiveId) ? manifest.base.archiveId : null);
+
+    const starts = archives.filter((archive) => !baseOf(archive));
+    const next = new Map();
+    for (const archive of archives) {
+      const base = baseOf(archive);
+      if (base && next.has(base)) {
+        throw new Error(`Archives ${next.get(base).manifest.archiveId} and ${archive.manifest.archiveId} share the same base`);
+      }
+      if (base) next.set(base, archive);
+    }
+    if (starts.length !== 1) {
+      throw new Error(`Archives do not form a single chain: ${starts.length} of them have no base among the others`);
+    }
+
+    const ordered = [starts[0]];
+    while (next.has(ordered[ordered.length - 1].manifest.archiveId)) {
+      ordered.push(next.get(ordered[ordered.length - 1].manifest.archiveId));
+    }
+    if (ordered.length !== archives.length) {
+      throw new Error("Archives do not form a single chain");
+    }
+    return ordered;
+  }
+
+  /**
+   * Imports the files of one archive and applies the deletions of an incremental archive
+   * @param {HTMLElement} clerk - The FileClerk being imported into
+   * @param {Object} entries - The archive's entries from openArchive()
+   * @param {Object|null} manifest - The archive's manifest
+   * @param {Object} options - passphrase, the import options of importArchive() and the report to fill
+   * @returns {Promise<void>}
+   */
+  async importEntries(clerk, entries, manifest, { passphrase, report, ...options }) {
+    const { items, folders, key } = await this.manifestContents(manifest, passphrase);
+    const context = await this.importContext(clerk, { ...options, report });
+
+    if (items) {
+      // Recreate folders first so empty ones survive the round trip, unless only some files are wanted
+      for (const folder of context.filtered ? [] : folders) {
+        await clerk.createFolder(folder);
+      }
+
+      // Import using manifest metadata; version 1 archives have no entry paths or folders
+      for (const item of items) {
+        const path = item.entry || this.entryPath(item, Boolean(key));
         const entry = entries[path];
+        const { folder, name } = clerk.splitPath(item.folder ? `${item.folder}/${item.filename}` : item.filename);
+        const incoming = { ...item, folder, filename: name, path: clerk.joinPath(folder, name) };
+        delete incoming.entry;
+        if (!context.accepts(incoming)) continue;
         if (!entry) {
-          console.warn(`Missing entry in archive: ${path}`);
+          report.skipped.push({ id: item.id, path: incoming.path, reason: "missing", existing: null });
           continue;
         }
-        const blob = await entry.blob();
-        const rawDataUrl = await this.blobToDataUrl(blob);
-        const corrected = this.ensureDataUrlMime(rawDataUrl, item.mimeType);
-        await clerk.saveFile(item.filename, corrected, item.metadata);
+        await this.importFile(context, incoming, () => this.checkEntry(entry, item, key));
       }
     } else {
-      // Fallback: import all entries under files/** (no metadata)
-      const paths = Object.keys(entries).filter((p) => p.startsWith("files/") && !p.endsWith("/"));
-      for (const p of paths) {
-        const entry = entries[p];
-        const parts = p.split("/");
-        const filename = parts.slice(-1)[0] || "file";
-        const blob = await entry.blob();
-        const rawDataUrl = await this.blobToDataUrl(blob);
-        const guessedMime = this.guessMimeFromFilename(filename);
-        const corrected = this.ensureDataUrlMime(rawDataUrl, guessedMime);
-        await clerk.saveFile(filename, corrected, {});
+      // Any other ZIP: import every entry, keeping its folders and original name as metadata
+      for (const { name, path, directory, entry } of this.plainEntries(entries, context.skipJunk)) {
+        if (directory) {
+          if (!context.filtered) await clerk.createFolder(path);
+          continue;
+        }
+        const { incoming, read } = this.plainFile(name, path, entry);
+        if (!context.accepts(incoming)) continue;
+        await this.importFile(context, incoming, async () => ({ blob: await read(), problem: null }));
       }
     }
 
-    // Re-render if the clerk is verbose
-    if (clerk.hasAttribute && clerk.hasAttribute("verbose") && typeof clerk.renderFileList === "function") {
-      await clerk.renderFileList();
+    // Incremental archives list the files deleted since their base; like folders, these
+    // deletions are only applied when the whole archive is imported
+    const { deleted } = manifest && !context.filtered ? await this.manifestChain(manifest, key) : { deleted: [] };
+    for (const id of deleted) {
+      const existing = context.byId.get(id);
+      if (existing && !existing.deletedAt) {
+        report.deleted.push(await clerk.deleteFile(id));
+      }
     }
   }
 
   /**
-   * Utility Methods for File Archive Operations
+   * Describes an entry of an archive without a manifest as an archived file
+   * @param {string} name - The entry name
+   * @param {string} path - The path it is imported under, from plainEntries()
+   * @param {Object} entry - The entry from openArchive()
+   * @returns {Object} { incoming, read }: the archived file (see importFile()) and a function
+   *   resolving to its contents, typed from the extension or sniffed from the first bytes
+   */
+  plainFile(name, path, entry) {
+    const slash = path.lastIndexOf("/");
+    const filename = path.slice(slash + 1);
+    const guessedMime = this.guessMimeFromFilename(filename);
+    const incoming = {
+      path,
+      folder: path.slice(0, slash) || "/",
+      filename,
+      metadata: { archivePath: name },
+      mimeType: guessedMime || undefined,
+      size: entry.size,
+      modifiedAt: entry.lastModDate ? entry.lastModDate.toISOString() : undefined,
+    };
+    const read = async () => {
+      const blob = await entry.blob();
+      const type = guessedMime || await this.sniffMimeType(blob);
+      return blob.slice(0, blob.size, type);
+    };
+    return { incoming, read };
+  }
+
+  /**
+   * Builds the path of a manifest item in the store ("/folder/filename")
+   * @param {Object} item - The manifest item with folder and filename
+   * @returns {string} The path
+   */
+  itemPath(item) {
+    const folder = item.folder && item.folder !== "/" ? item.folder : "";
+    return `${folder}/${item.filename}`;
+  }
+
+  /**
+   * Reads the file list and folders of a manifest, decrypting them for encrypted archives
+   * @param {Object|null} manifest - The archive manifest
+   * @param {string} [passphrase] - Passphrase for an encrypted archive
+   * @returns {Promise<Object>} { items, folders, key }; items is null when there is no file list
+   *   and key is null for unencrypted archives
+   * @throws {Error} When an encrypted archive cannot be decrypted; with code "ARCHIVE_REJECTED" when
+   *   the file list or folders fail validateItems()
    */
+  async manifestContents(manifest, passphrase) {
+    let contents = { key: null, items: null, folders: [] };
+    if (manifest && manifest.encryption) {
+      const key = await this.archiveKey(manifest.encryption, passphrase);
+      contents = {
+        key,
+        items: await decryptJson(fromBase64(manifest.sealedFiles), key),
+        folders: manifest.sealedFolders ? await decryptJson(fromBase64(manifest.sealedFolders), key) : [],
+      };
+    } else if (manifest) {
+      contents = { key: null, items: manifest.files || null, folders: manifest.folders || [] };
+    }
+    if (contents.items || contents.folders.length > 0) {
+      this.validateItems(contents.items || [], contents.folders);
+    }
+    return contents;
+  }
 
   /**
-   * Converts a Data URL to a Blob object
-   * @param {string} dataUrl - The Data URL to convert
-   * @returns {Promise<Blob>} The resulting Blob
+   * Collects what an import needs to detect conflicts with the files already in the store
+   * @param {HTMLElement} clerk - The FileClerk being imported into
+   * @param {Object} options - conflict, onConflict, preserveIds, integrity, only, include, exclude,
+   *   filter, skipJunk and the report to fill
+   * @returns {Promise<Object>} The import context
    */
-  async dataUrlToBlob(dataUrl) {
-    const res = await fetch(dataUrl);
-    return await res.blob();
+  async importContext(clerk, options) {
+    const files = await clerk.listFiles();
+    const trashed = await clerk.listTrash();
+    return {
+      ...options,
+      clerk,
+      accepts: this.entryMatcher(options),
+      // Folders are only recreated when the whole archive is wanted
+      filtered: Boolean(options.only || options.include || options.exclude || options.filter),
+      byId: new Map([...trashed, ...files].map((f) => [f.id, f])),
+      byPath: new Map(files.map((f) => [f.path, f])),
+      // Every path in use, so "keep-both" copies get a free name
+      paths: new Set([...trashed, ...files].map((f) => f.path)),
+    };
   }
 
   /**
-   * Converts a Blob to a Data URL string
-   * @param {Blob} blob - The Blob to convert
-   * @returns {Promise<string>} The resulting Data URL
+   * Imports one archived file, resolving a conflict with an existing file first
+   * Contents are only read when the file is actually written; files failing their checksum are
+   * skipped or quarantined according to the context's integrity mode
+   * @param {Object} context - The import context from importContext()
+   * @param {Object} incoming - The archived file: path, folder, filename and, when known, id,
+   *   metadata, tags, mimeType, createdAt, modifiedAt, sha256 and size
+   * @param {Function} read - Resolves to { blob, problem, sha256, size } like checkEntry()
+   * @returns {Promise<void>}
    */
-  async blobToDataUrl(blob) {
-    return await new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
+  async importFile(context, incoming, read) {
+    const { clerk, report } = context;
+    const existing = (incoming.id && context.byId.get(incoming.id)) || context.byPath.get(incoming.path) || null;
+
+    let strategy = null;
+    if (existing) {
+      strategy = context.onConflict ? await context.onConflict(incoming, existing) : context.conflict;
+      this.checkConflictStrategy(strategy);
+      if (strategy === "newest") {
+        strategy = Date.parse(incoming.modifiedAt) > Date.parse(existing.modifiedAt) ? "overwrite" : "skip";
+      }
+    }
+
+    if (strategy === "skip") {
+      report.skipped.push({ id: incoming.id, path: incoming.path, reason: "conflict", existing });
+      return;
+    }
+
+    const check = await read();
+    if (check.problem) {
+      await this.importCorrupt(context, incoming, check);
+      return;
+    }
+    const { blob } = check;
+    if (strategy === "overwrite") {
+      if (existing.deletedAt) {
+        await clerk.restoreFile(existing.id);
+      }
+      const descriptor = await clerk.updateFile(existing.id, blob, incoming.metadata || {}, {
+        path: incoming.path,
+        tags: incoming.tags || [],
+        modifiedAt: incoming.modifiedAt,
+      });
+      if (context.byPath.get(existing.path) === existing) {
+        context.byPath.delete(existing.path);
+      }
+      this.trackImported(context, descriptor);
+      report.replaced.push(descriptor);
+      return;
+    }
+
+    const path = strategy === "keep-both" ? this.uniqueEntryPath(incoming.path, context.paths) : incoming.path;
+    const id = context.preserveIds && incoming.id && !context.byId.has(incoming.id) ? incoming.id : undefined;
+    const descriptor = await clerk.saveFile(path, blob, incoming.metadata, {
+      tags: incoming.tags,
+      id,
+      createdAt: incoming.createdAt,
+      modifiedAt: incoming.modifiedAt,
     });
+    this.trackImported(context, descriptor);
+    report.added.push(descriptor);
   }
 
   /**
-   * Parses the MIME type from a Data URL
-   * @param {string} dataUrl - The Data URL to parse
-   * @returns {string} The MIME type or empty string if not found
+   * Records a file written by the import in the context, so later items in the same archive
+   * that share its id or path go through the conflict strategy
+   * @param {Object} context - The import context from importContext()
+   * @param {Object} descriptor - The descriptor of the saved or updated file
+   * @returns {void}
    */
-  parseMimeFromDataUrl(dataUrl) {
-    const m = /^data:([^;]+);/i.exec(dataUrl || "");
-    return m ? m[1] : "";
+  trackImported(context, descriptor) {
+    context.byId.set(descriptor.id, descriptor);
+    context.byPath.set(descriptor.path, descriptor);
+    context.paths.add(descriptor.path);
   }
 
   /**
-   * Ensures a Data URL has the correct MIME type
-   * @param {string} dataUrl - The Data URL to modify
-   * @param {string} desiredMime - The desired MIME type
-   * @returns {string} The Data URL with corrected MIME type
+   * Handles an archived file that failed its integrity check
+   * In quarantine mode readable files are saved under /quarantine, keeping the archived path
+   * below it, so they can be inspected without replacing anything; otherwise they are skipped
+   * @param {Object} context - The import context from importContext()
+   * @param {Object} incoming - The archived file; see importFile()
+   * @param {Object} check - The failed check from checkEntry()
+   * @returns {Promise<void>}
+   */
+  async importCorrupt(context, incoming, check) {
+    const { clerk, report } = context;
+    const corruption = this.corruption(incoming, check);
+    if (context.integrity !== "quarantine" || !check.blob) {
+      report.skipped.push({ id: incoming.id, path: incoming.path, reason: "corrupt", existing: null, ...corruption });
+      return;
+    }
+
+    const path = this.uniqueEntryPath(`/quarantine${incoming.path}`, context.paths);
+    const metadata = {
+      ...(incoming.metadata || {}),
+      quarantine: { id: incoming.id || null, path: incoming.path, ...corruption },
+    };
+    const descriptor = await clerk.saveFile(path, check.blob, metadata, {
+      tags: [...new Set([...(incoming.tags || []), "quarantine"])],
+    });
+    this.trackImported(context, descriptor);
+    report.quarantined.push(descriptor);
+  }
+
+  /**
+   * Checks that a conflict strategy is supported
+   * @param {string} strategy - The strategy to check
+   * @returns {void}
+   * @throws {Error} When the strategy is unknown
+   */
+  checkConflictStrategy(strategy) {
+    if (!FileArchive.CONFLICT_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown conflict strategy: ${strategy}`);
+    }
+  }
+
+  /**
+   * Utility Methods for File Archive Operations
+   */
+
+  /**
+   * Builds the id-based path of a file's entry inside the archive
+   * Used by encrypted archives, which do not reveal filenames or folders in entry paths,
+   * and by version 1 archives
+   * @param {Object} item - Manifest item with id and filename
+   * @param {boolean} encrypted - Whether the archive is encrypted
+   * @returns {string} The entry path
+   */
+  entryPath(item, encrypted) {
+    return encrypted ? `files/${item.id}/encrypted` : `files/${item.id}/${item.filename || "file"}`;
+  }
+
+  /**
+   * Makes an archive entry or file path unique by numbering repeated file names ("notes (2).txt")
+   * @param {string} path - The preferred path
+   * @param {Set<string>} usedPaths - Paths already taken; the returned path is added
+   * @returns {string} The unique path
    */
-  ensureDataUrlMime(dataUrl, desiredMime) {
-    if (!desiredMime) return dataUrl;
-    const currentMime = this.parseMimeFromDataUrl(dataUrl);
-    if (currentMime && currentMime !== "application/octet-stream") return dataUrl;
-    // Replace the header to enforce the desired MIME
-    return dataUrl.replace(/^data:[^;]*;base64,/, `data:${desiredMime};base64,`);
+  uniqueEntryPath(path, usedPaths) {
+    let candidate = path;
+    const slash = path.lastIndexOf("/");
+    const dot = path.lastIndexOf(".");
+    const cut = dot > slash + 1 ? dot : path.length;
+    for (let n = 2; usedPaths.has(candidate); n++) {
+      candidate = `${path.slice(0, cut)} (${n})${path.slice(cut)}`;
+    }
+    usedPaths.add(candidate);
+    return candidate;
+  }
+
+  /**
+   * Resolves the key for an encrypted archive
+   * Uses the given password or passphrase, or the target store's key when the archive was
+   * exported under that key
+   * @param {Object} encryption - The manifest's encryption settings
+   * @param {string} [passphrase] - Password or passphrase supplied by the caller
+   * @returns {Promise<CryptoKey>} The archive key
+   * @throws {Error} With code "ARCHIVE_PASSWORD_REQUIRED" when no password is available, or
+   *   "ARCHIVE_PASSWORD_INCORRECT" when it does not match
+   */
+  async archiveKey(encryption, passphrase) {
+    const clerk = this.fileClerk;
+    if (passphrase) {
+      try {
+        return await clerk.unlockKey(passphrase, encryption);
+      } catch (cause) {
+        const error = new Error("Incorrect password for this archive", { cause });
+        error.code = "ARCHIVE_PASSWORD_INCORRECT";
+        throw error;
+      }
+    }
+    if (clerk.encryption && !clerk.locked && clerk.encryption.salt === encryption.salt) {
+      return clerk.cryptoKey;
+    }
+    const error = new Error("This archive is encrypted; pass { password } to open it");
+    error.code = "ARCHIVE_PASSWORD_REQUIRED";
+    throw error;
   }
 
   /**
@@ -249,32 +2076,100 @@ class FileArchive extends DataroomElement {
    * @returns {string} The guessed MIME type or empty string
    */
   guessMimeFromFilename(filename = "") {
-    const ext = filename.split(".").pop().toLowerCase();
-    switch (ext) {
-      case "jpg":
-      case "jpeg":
-        return "image/jpeg";
-      case "png":
-        return "image/png";
-      case "gif":
-        return "image/gif";
-      case "webp":
-        return "image/webp";
-      case "mp4":
-        return "video/mp4";
-      case "mp3":
-        return "audio/mpeg";
-      case "wav":
-        return "audio/wav";
-      case "pdf":
-        return "application/pdf";
-      case "txt":
-        return "text/plain";
-      case "json":
-        return "application/json";
-      default:
-        return "";
+    const dot = filename.lastIndexOf(".");
+    if (dot === -1) return "";
+    return FileArchive.MIME_TYPES[filename.slice(dot + 1).toLowerCase()] || "";
+  }
+
+  /**
+   * Guesses MIME type from the first bytes of a file, for names without a known extension
+   * @param {Blob} blob - The file contents
+   * @returns {Promise<string>} The sniffed MIME type or empty string
+   */
+  async sniffMimeType(blob) {
+    const head = new Uint8Array(await blob.slice(0, 16).arrayBuffer());
+    const match = FileArchive.MAGIC_NUMBERS.find(({ bytes, offset = 0 }) => bytes.every(
+      (byte, i) => byte === null || head[offset + i] === byte
+    ));
+    return match ? match.type : "";
+  }
+
+  /**
+   * Tests a path against a glob pattern
+   * "*" matches within one folder, "**" across folders and "?" one character; matching ignores
+   * case. Patterns without a slash match the file name in any folder ("*.jpg"), others the
+   * path from the archive root ("photos/**").
+   * @param {string} path - The path, with or without a leading slash
+   * @param {string} pattern - The glob pattern
+   * @returns {boolean} True when the path matches
+   */
+  matchesGlob(path, pattern) {
+    const relative = path.replace(/^\/+/, "");
+    const subject = pattern.includes("/") ? relative : relative.slice(relative.lastIndexOf("/") + 1);
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === "*" && pattern[i + 1] === "*") {
+        i++;
+        if (pattern[i + 1] === "/") {
+          i++;
+          source += "(?:.*/)?";
+        } else {
+          source += ".*";
+        }
+      } else if (char === "*") {
+        source += "[^/]*";
+      } else if (char === "?") {
+        source += "[^/]";
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      }
+    }
+    return new RegExp(`^${source}$`, "i").test(subject);
+  }
+
+  /**
+   * Checks whether a path is operating system clutter (see JUNK_PATTERNS)
+   * @param {string} path - The path inside the archive
+   * @returns {boolean} True for junk
+   */
+  isJunk(path) {
+    return FileArchive.JUNK_PATTERNS.some((pattern) => this.matchesGlob(path, pattern));
+  }
+
+  /**
+   * Builds the predicate choosing which archived files an import takes
+   * @param {Object} options - only, include, exclude and filter; see importArchive()
+   * @returns {Function} Predicate taking { id, path, size, mimeType }
+   */
+  entryMatcher({ only, include, exclude, filter } = {}) {
+    const chosen = only ? new Set(only) : null;
+    return (file) => (!chosen || chosen.has(file.path) || (file.id !== undefined && chosen.has(file.id)))
+      && (!include || include.some((pattern) => this.matchesGlob(file.path, pattern)))
+      && (!exclude || !exclude.some((pattern) => this.matchesGlob(file.path, pattern)))
+      && (!filter || filter(file));
+  }
+
+  /**
+   * Lists the entries of an archive without a manifest, as the paths they are imported under
+   * Backslashes become slashes and "." segments are dropped; when every entry lies under files/
+   * (the layout exportArchive() writes) that prefix is removed.
+   * @param {Object} entries - The archive's entries from openArchive()
+   * @param {boolean} [skipJunk=true] - Leave out operating system clutter
+   * @returns {Array<Object>} { name, path, directory, entry } in archive order; path starts with "/"
+   */
+  plainEntries(entries, skipJunk = true) {
+    const list = [];
+    for (const [name, entry] of Object.entries(entries)) {
+      const segments = name.replace(/\\/g, "/").split("/").filter((segment) => segment && segment !== ".");
+      const directory = /[\\/]$/.test(name) || Boolean(entry.isDirectory);
+      if (segments.length === 0 || (skipJunk && this.isJunk(segments.join("/") + (directory ? "/" : "")))) continue;
+      list.push({ name, segments, directory, entry });
     }
+    const nested = list.length > 0 && list.every(({ segments, directory }) => segments[0] === "files" && (segments.length > 1 || directory));
+    return list
+      .map(({ name, segments, directory, entry }) => ({ name, path: `/${(nested ? segments.slice(1) : segments).join("/")}`, directory, entry }))
+      .filter(({ path }) => path !== "/");
   }
 
   /**
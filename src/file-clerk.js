@@ -1,134 +1,3350 @@
 import DataroomElement from "dataroom-js";
 import localforage from './vendor/localforage-esm.js';
+import {
+  PBKDF2_ITERATIONS,
+  deriveKey,
+  encryptBlob,
+  decryptBlob,
+  encryptBytes,
+  decryptBytes,
+  encryptJson,
+  decryptJson,
+  wrapKey,
+  unwrapKey,
+  digestBlob,
+  importHmacKey,
+  hmacHex,
+  randomBytes,
+  toBase64,
+  fromBase64,
+  sealedStore,
+} from './file-crypto.js';
+import { createStorageAdapter, guardedTable } from './storage-adapters.js';
+import { BLOB_CHUNK_SIZE, splitBlob, joinBlobs, chunkRange } from './file-splitter.js';
+import { formatFileSize } from './file-list.js';
 
 /**
  * File Clerk Component
  *
  * A file management component that provides browser-based storage and retrieval
- * of files using localforage (IndexedDB/localStorage). Handles file persistence,
- * listing, opening, and deletion with optional verbose UI.
+ * of files using a pluggable storage backend (`backend` attribute): IndexedDB through
+ * localforage (default), in-memory, or the Origin Private File System. Handles file
+ * persistence, listing, opening, and deletion with optional verbose UI.
+ *
+ * File records (including contents) and a lightweight metadata index are kept in
+ * separate stores so listing, filtering and sorting never load file contents.
+ * Updating a file keeps its ID and snapshots the previous version into a revision
+ * store, retaining the newest `max-revisions` snapshots (default 10).
+ *
+ * Contents are content-addressed: each unique Blob is stored once under its SHA-256
+ * hash with a reference count, shared by every file and revision holding the same bytes,
+ * and freed when the last reference goes away.
+ *
+ * Each clerk works in a named store (`store` or `namespace` attribute, default "default")
+ * backed by its own IndexedDB database, so clerks using different stores never see
+ * each other's files or keys written to localforage by other libraries.
+ *
+ * Stores can be encrypted at rest (opt in with the `encrypted` attribute or by calling
+ * `unlock(passphrase)`). Contents, filenames and metadata are encrypted per record with
+ * AES-GCM using a key derived from the passphrase with PBKDF2; the store stays locked,
+ * refusing reads and writes, until `unlock()` succeeds.
+ *
+ * Storage use is tracked per file and against the browser quota. A `max-bytes` attribute
+ * caps the store; with an `eviction` policy ("oldest", "largest" or "lru") files are evicted
+ * to make room, otherwise saves beyond the cap fail with a storage-full error.
+ *
+ * Files are organized in virtual folders: each record has a `folder` path such as "/docs/2024"
+ * ("/" is the root). Passing a path like "docs/2024/report.pdf" to saveFile() places the file in
+ * that folder; folders can also be created empty, listed, renamed and deleted with their contents.
+ *
+ * Metadata is a plain object (a notes string is stored as `{ notes }`) and files carry tags.
+ * Tags, the automatic mimeType and originalFilename fields and every primitive metadata value
+ * are kept in a secondary `lookup` index, so findByTag() and findByMetadata() read only the
+ * matching descriptors.
+ *
+ * Filenames, notes and the text of text-like files (up to SEARCH_MAX_BYTES each) are kept in an
+ * inverted index updated on every save, update and delete, so search() ranks matches without
+ * reading every file.
+ *
+ * Deleting a file moves it to the trash, from which it can be restored until it is purged
+ * after `trash-retention` days (default 30; 0 makes deletes permanent) or the trash is emptied.
+ *
+ * Clerks in other tabs (or elsewhere on the page) using the same store are kept in sync:
+ * saves, updates and deletes are announced on a BroadcastChannel scoped to the store, and
+ * writes to a record take a Web Lock so two tabs never interleave updates to the same file.
  *
  * @class FileClerk
  * @extends DataroomElement
  * 
  * @example
  * // HTML usage:
- * <file-clerk verbose></file-clerk>
+ * <file-clerk verbose max-revisions="20" trash-retention="7"></file-clerk>
+ * <file-clerk store="attachments"></file-clerk>
+ * <file-clerk store="private" encrypted verbose></file-clerk>
+ * <file-clerk store="videos" backend="opfs"></file-clerk>
+ * <file-clerk store="scratch" backend="memory"></file-clerk>
+ * <file-clerk store="cache" max-bytes="52428800" eviction="lru" quota-warning="0.75,0.9" persist></file-clerk>
  * 
  * // JavaScript usage:
  * const clerk = document.querySelector('file-clerk');
- * await clerk.saveFile('document.txt', 'data:text/plain;base64,...', 'My notes');
+ * await clerk.saveFile('document.txt', new Blob(['Hello'], { type: 'text/plain' }), 'My notes');
  * const files = await clerk.listFiles();
+ * const { id } = await clerk.saveFile('copy.txt', sameBlob, '', { dedupe: true }); // existing file if already stored
+ * const duplicates = await clerk.findDuplicates();
+ * const recent = await clerk.listFiles({ sortBy: 'createdAt', order: 'desc', limit: 20 });
+ * await clerk.updateFile(recent[0].id, new Blob(['Hello again'], { type: 'text/plain' }));
+ * const history = await clerk.listRevisions(recent[0].id);
+ * await clerk.restoreRevision(recent[0].id, history[0].rev);
+ * await clerk.deleteFile(recent[0].id); // moves to trash
+ * await clerk.restoreFile(recent[0].id);
+ *
+ * // Tags and metadata:
+ * const { id: photoId } = await clerk.saveFile('cat.jpg', jpgBlob, { notes: 'Garden', author: 'sam' }, { tags: ['pets'] });
+ * await clerk.addTag(photoId, 'favorites');
+ * const pets = await clerk.findByTag('pets');
+ * const bySam = await clerk.findByMetadata('author', 'sam');
+ *
+ * // Full-text search:
+ * const hits = await clerk.search('quarterly report', { limit: 10 }); // [{ id, score, snippet, file }]
+ *
+ * // Folders:
+ * const { id: reportId } = await clerk.saveFile('docs/2024/report.pdf', pdfBlob);
+ * await clerk.createFolder('/archive');
+ * await clerk.moveFile(reportId, '/archive');
+ * const { folders, files: inDocs } = await clerk.listFolder('/docs');
+ * await clerk.renameFolder('/docs', '/documents');
+ * await clerk.deleteFolder('/archive');
+ *
+ * // Encrypted stores:
+ * await clerk.unlock('my passphrase');
+ * await clerk.changePassphrase('my passphrase', 'a better passphrase');
+ * clerk.lock();
+ *
+ * // Storage:
+ * const { usage, quota, storeBytes } = await clerk.getUsage();
+ * await clerk.requestPersistence();
+ * await clerk.migrateTo('opfs');
+ * const stream = await clerk.getStream(id);
+ * const firstKilobyte = await clerk.getRange(id, 0, 1024);
+ *
+ * // Schema:
+ * const { pending, malformed } = await clerk.migrate({ dryRun: true });
  * 
- * @fires file-opened - When a file is opened from storage
+ * @fires file-opened - When a file or one of its revisions is opened from storage
+ * @fires file-saved - When a file is saved, with its descriptor
+ * @fires file-updated - When a file is updated, moved, restored from the trash or reverted to a revision
+ * @fires file-deleted - When a file is moved to the trash or permanently deleted
+ * @fires batch-committed - When a batch of saves and deletes has been applied
+ * @fires file-clerk-error - When a file operation fails, with a structured error type
+ * @fires locked - When an encrypted store is locked
+ * @fires unlocked - When an encrypted store is unlocked with the correct passphrase
+ * @fires passphrase-changed - When all records have been re-keyed under a new passphrase
+ * @fires quota-warning - When storage use crosses one of the configured thresholds
+ * @fires file-evicted - When files are removed by the eviction policy to make room
+ * @fires store-migrated - When the store has been moved to another storage backend
+ * @fires migration-progress - While schema migrations run over the store's records
+ * @fires migration-complete - When pending schema migrations have been applied
+ * @fires file-changed - When another tab or clerk saves, updates, deletes or restores a file in the same store
  */
 class FileClerk extends DataroomElement {
   /**
-   * Initializes the file clerk component
-   * Sets up crypto API reference and renders verbose UI if requested
+   * Prefix of the IndexedDB database name used for each named store
+   * @type {string}
+   * @constant
+   */
+  static DATABASE_PREFIX = "file-clerk:";
+
+  /**
+   * Object stores making up each named store
+   * @type {Array<string>}
+   * @constant
+   */
+  static TABLES = ["records", "index", "revisions", "trash", "folders", "lookup", "search", "blobs", "chunks", "settings"];
+
+  /**
+   * Descriptor fields indexed for findByMetadata() in addition to the custom metadata keys
+   * @type {Array<string>}
+   * @constant
+   */
+  static LOOKUP_FIELDS = ["mimeType", "originalFilename"];
+
+  /**
+   * Bytes of each text file read into the full-text index
+   * @type {number}
+   * @constant
+   */
+  static SEARCH_MAX_BYTES = 256 * 1024;
+
+  /**
+   * Extensions of files indexed as text when their MIME type does not say so
+   * @type {Array<string>}
+   * @constant
+   */
+  static TEXT_EXTENSIONS = ["txt", "md", "markdown", "json", "csv", "tsv", "xml", "yaml", "yml", "html", "htm", "css", "js", "ts", "log"];
+
+  /**
+   * Weight of a token by where it occurs, used when ranking search results
+   * @type {Object<string, number>}
+   * @constant
+   */
+  static SEARCH_WEIGHTS = { filename: 3, notes: 2, contents: 1 };
+
+  /**
+   * Supported eviction policies and the descriptor order in which they evict files
+   * @type {Object<string, Function>}
+   * @constant
+   */
+  static EVICTION_POLICIES = {
+    oldest: (a, b) => String(a.createdAt).localeCompare(String(b.createdAt)),
+    largest: (a, b) => b.size - a.size,
+    lru: (a, b) => String(a.accessedAt || a.modifiedAt).localeCompare(String(b.accessedAt || b.modifiedAt)),
+  };
+
+  /**
+   * Ordered schema migrations; each runs once per store, in version order, when the
+   * store's recorded schema version is lower. run(clerk, context) receives a context with
+   * progress(done, total) and the malformed array it should add skipped records to.
+   * Append new migrations with the next version number; never renumber existing ones.
+   * @type {Array<{version: number, name: string, run: Function}>}
+   * @constant
+   */
+  static MIGRATIONS = [
+    {
+      version: 1,
+      name: "legacy-store",
+      run: (clerk, context) => clerk.storeName === "default" && clerk.backend === "indexeddb"
+        ? clerk.migrateLegacyStore(context)
+        : undefined,
+    },
+    { version: 2, name: "blob-contents", run: (clerk, context) => clerk.migrateContents(context) },
+    { version: 3, name: "metadata-index", run: (clerk, context) => clerk.reconcileIndex(context) },
+    { version: 4, name: "lookup-index", run: (clerk, context) => clerk.rebuildLookup(context) },
+    { version: 5, name: "search-index", run: (clerk, context) => clerk.rebuildSearchIndex(context) },
+    { version: 6, name: "chunked-blobs", run: (clerk, context) => clerk.chunkLargeBlobs(context) },
+  ];
+
+  /**
+   * Schema version of stores written by this File Clerk, the version of the last migration
+   * @type {number}
+   * @constant
+   */
+  static SCHEMA_VERSION = this.MIGRATIONS[this.MIGRATIONS.length - 1].version;
+
+  /**
+   * Initializes the file clerk component
+   * Sets up crypto API reference and the named store, runs pending schema migrations unless
+   * the store is encrypted and locked, and renders verbose UI if requested
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this.crypto = window.crypto || window.msCrypto;
+    // Blobs are immutable, so a hash computed for the capacity check is reused by storeBlob()
+    this.blobHashes = new WeakMap();
+    this.storeName = this.getAttribute("store") || this.getAttribute("namespace") || "default";
+    this.backend = this.getAttribute("backend") || "indexeddb";
+    this.adapter = createStorageAdapter(this.backend);
+    await this.openStore(this.storeName);
+    this.maxRevisions = this.hasAttribute("max-revisions")
+      ? Math.max(0, parseInt(this.getAttribute("max-revisions"), 10) || 0)
+      : 10;
+    this.maxBytes = parseInt(this.getAttribute("max-bytes"), 10) || 0;
+    this.evictionPolicy = this.getAttribute("eviction") || null;
+    if (this.evictionPolicy && !FileClerk.EVICTION_POLICIES[this.evictionPolicy]) {
+      throw new Error(`Unknown eviction policy: ${this.evictionPolicy}`);
+    }
+    this.quotaThresholds = (this.getAttribute("quota-warning") || "0.8,0.95")
+      .split(",")
+      .map(Number)
+      .filter((n) => n > 0)
+      .sort((a, b) => a - b);
+    this.quotaLevel = 0;
+    this.trashRetentionDays = this.hasAttribute("trash-retention")
+      ? Math.max(0, parseFloat(this.getAttribute("trash-retention")) || 0)
+      : 30;
+    this.chunkSize = this.hasAttribute("chunk-size")
+      ? Math.max(0, parseInt(this.getAttribute("chunk-size"), 10) || 0)
+      : BLOB_CHUNK_SIZE;
+
+    if (this.hasAttribute("persist")) {
+      await this.requestPersistence();
+    }
+
+    // Encrypted stores wait for unlock() before migrating or listing anything
+    if (!this.locked) {
+      await this.prepareStore();
+    }
+    
+    if (this.hasAttribute("verbose")) {
+      this.create('h1', {
+        content: 'File Clerk'
+      });
+
+      const searchInput = this.create('input', {
+        type: 'search',
+        class: 'file-search',
+        placeholder: 'Search files'
+      });
+
+      searchInput.addEventListener('input', () => this.renderSearchResults(searchInput.value));
+
+      this.create('div', {
+        class: 'search-results'
+      });
+      
+      this.create('div', {
+        class: 'file-list'
+      });
+      
+      await this.renderFileList();
+    }
+  }
+
+  /**
+   * Saves a file to browser storage with a generated unique ID
+   * Contents are stored natively as a Blob; Data URLs are accepted for backward compatibility
+   * @param {string} filename - The name of the file, optionally prefixed with a folder path (e.g. "docs/notes.txt")
+   * @param {Blob|File|ArrayBuffer|ArrayBufferView|string} contents - The file contents
+   * @param {Object|string} [metadata] - Metadata object; a string is stored as { notes }
+   * @param {Object} [options] - Save options
+   * @param {boolean} [options.dedupe=false] - Return an existing file with identical contents instead of saving again
+   * @param {Array<string>} [options.tags] - Tags to attach to the file
+   * @param {string} [options.id] - ID to save the file under instead of a generated one (e.g. when restoring a backup)
+   * @param {string} [options.createdAt] - Creation time to keep (ISO date) instead of now
+   * @param {string} [options.modifiedAt] - Modification time to keep (ISO date); defaults to createdAt
+   * @returns {Promise<Object>} The descriptor of the saved (or existing, when deduplicated) file
+   * @throws {Error} storage-full error (code "STORAGE_FULL") when the file does not fit, or an error with
+   *   code "FILE_EXISTS" when a file (live or trashed) already uses the given id
+   * @fires file-saved - Custom event containing the new file's descriptor
+   * @fires file-clerk-error - When the save fails
+   */
+  async saveFile(filename, contents, metadata, { dedupe = false, tags = [], id, createdAt, modifiedAt } = {}) {
+    let descriptor;
+    try {
+      const blob = await this.toBlob(contents);
+
+      if (dedupe) {
+        const hash = await this.hashBlob(blob);
+        const [existing] = await this.listFiles({ filter: { hash }, sortBy: "createdAt", limit: 1 });
+        if (existing) {
+          return existing;
+        }
+      }
+
+      const write = () => this.writeFile(filename, blob, metadata, tags, { id, createdAt, modifiedAt });
+      descriptor = await this.withCapacity(await this.addedBytes([blob]), null, id ? () => this.withLock(`record:${id}`, write) : write);
+    } catch (error) {
+      this.handleError("FILE_SAVE_ERROR", error);
+      throw error;
+    }
+    await this.checkQuota();
+    this.event("file-saved", descriptor);
+    this.broadcast("saved", descriptor.id);
+    
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+
+    return descriptor;
+  }
+
+  /**
+   * Writes a new file record and its index entry, under a generated ID unless one is given
+   * Does not enforce capacity or announce the change; see saveFile(). Callers passing an
+   * id must hold its record lock.
+   * @param {string} filename - The name of the file, optionally prefixed with a folder path
+   * @param {Blob} blob - The file contents
+   * @param {Object|string} [metadata] - Metadata object, or a notes string
+   * @param {Array<string>} [tags=[]] - Tags to attach to the file
+   * @param {Object} [options] - The id, createdAt and modifiedAt to keep; see saveFile()
+   * @returns {Promise<Object>} The new file's index descriptor
+   * @throws {Error} With code "FILE_EXISTS" when the given id is taken
+   */
+  async writeFile(filename, blob, metadata, tags = [], { id = this.crypto.randomUUID(), createdAt = new Date().toISOString(), modifiedAt = createdAt } = {}) {
+    const { folder, name } = this.splitPath(filename);
+    if (await this.records.getItem(id)) {
+      const error = new Error(`A file with id ${id} already exists`);
+      error.code = "FILE_EXISTS";
+      throw error;
+    }
+    const content = await this.storeBlob(blob);
+    const fileData = {
+      filename: name,
+      originalFilename: name,
+      folder,
+      ...content,
+      metadata: this.normalizeMetadata(metadata),
+      tags: this.normalizeTags(tags),
+      createdAt,
+      modifiedAt,
+      revision: 1,
+    };
+    await this.records.setItem(id, fileData);
+    const descriptor = this.describe(id, fileData);
+    await this.indexFile(id, descriptor);
+    return descriptor;
+  }
+
+  /**
+   * Applies many saves and deletes as one unit: either every operation takes effect or none does
+   * Fires a single batch-committed event instead of a file-saved/file-deleted event per file
+   * @param {Array<Object>} ops - Operations, each either
+   *   { op: "save", filename, contents, metadata, tags } or { op: "delete", id, permanent }
+   * @returns {Promise<Object>} { saved: [descriptors], deleted: [descriptors] }
+   * @throws {Error} When any operation fails (e.g. a deleted file does not exist or the saves do not fit);
+   *   operations already applied are rolled back first
+   * @fires batch-committed - Custom event with the saved and deleted descriptors
+   * @fires file-clerk-error - When the batch fails
+   *
+   * @example
+   * const { saved } = await clerk.batch([
+   *   { op: 'save', filename: 'docs/a.txt', contents: blobA },
+   *   { op: 'save', filename: 'docs/b.txt', contents: blobB },
+   *   { op: 'delete', id: oldId },
+   * ]);
+   */
+  async batch(ops) {
+    const applied = [];
+    const purge = [];
+    try {
+      const prepared = [];
+      for (const op of ops) {
+        if (op.op === "save") {
+          prepared.push({ ...op, blob: await this.toBlob(op.contents) });
+        } else if (op.op === "delete") {
+          prepared.push(op);
+        } else {
+          throw new Error(`Unknown batch operation: ${op.op}`);
+        }
+      }
+
+      const bytes = await this.addedBytes(prepared.filter((op) => op.blob).map((op) => op.blob));
+      await this.withCapacity(bytes, null, async () => {
+        try {
+          for (const op of prepared) {
+            if (op.op === "save") {
+              applied.push({ op: "save", descriptor: await this.writeFile(op.filename, op.blob, op.metadata, op.tags) });
+              continue;
+            }
+            const descriptor = await this.withLock(`record:${op.id}`, () => this.trashFile(op.id));
+            if (!descriptor) {
+              throw this.notFoundError(op.id);
+            }
+            applied.push({ op: "delete", descriptor });
+            if (op.permanent || this.trashRetentionDays === 0) {
+              purge.push(op.id);
+            }
+          }
+        } catch (error) {
+          // Undo so that a retry after eviction (or the caller) starts from the original state
+          await this.rollback(applied.splice(0));
+          purge.length = 0;
+          throw error;
+        }
+      });
+    } catch (error) {
+      this.handleError("BATCH_ERROR", error);
+      throw error;
+    }
+
+    // Trashing is reversible, so permanent deletes are only purged once every operation succeeded
+    for (const id of purge) {
+      await this.purgeFile(id);
+    }
+    await this.purgeExpiredTrash();
+    await this.checkQuota();
+
+    const saved = applied.filter((change) => change.op === "save").map((change) => change.descriptor);
+    const deleted = applied.filter((change) => change.op === "delete").map((change) => change.descriptor);
+    this.event("batch-committed", { saved, deleted, store: this.storeName });
+    this.broadcast("batch");
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+
+    return { saved, deleted };
+  }
+
+  /**
+   * Reverts the operations a failed batch already applied, newest first
+   * @param {Array<Object>} applied - Applied operations as { op, descriptor }
+   * @returns {Promise<void>}
+   */
+  async rollback(applied) {
+    for (const { op, descriptor } of applied.reverse()) {
+      if (op === "save") {
+        await this.purgeFile(descriptor.id);
+      } else {
+        await this.withLock(`record:${descriptor.id}`, () => this.untrashFile(descriptor.id));
+      }
+    }
+  }
+
+  /**
+   * Updates a stored file in place, keeping its ID and recording the previous version as a revision
+   * @param {string} id - The unique ID of the file to update
+   * @param {Blob|File|ArrayBuffer|ArrayBufferView|string|null} contents - New contents, or null to keep the current contents
+   * @param {*} [metadata] - New metadata; omit to keep the current metadata
+   * @param {Object} [options] - Further changes made in the same revision
+   * @param {string} [options.path] - New file path (folder and name), e.g. "docs/renamed.txt"
+   * @param {Array<string>} [options.tags] - New tags
+   * @param {string} [options.modifiedAt] - Modification time to record (ISO date) instead of now
+   * @returns {Promise<Object>} The updated index descriptor
+   * @throws {Error} When no file exists with the given ID, or a storage-full error when the new contents do not fit
+   */
+  async updateFile(id, contents, metadata, { path, tags, modifiedAt } = {}) {
+    const changes = {};
+    try {
+      if (contents != null) {
+        changes.contents = await this.toBlob(contents);
+      }
+      if (path !== undefined) {
+        const { folder, name } = this.splitPath(path);
+        Object.assign(changes, { folder, filename: name });
+      }
+    } catch (error) {
+      this.handleError("FILE_UPDATE_ERROR", error);
+      throw error;
+    }
+    if (metadata !== undefined) {
+      changes.metadata = this.normalizeMetadata(metadata);
+    }
+    if (tags !== undefined) {
+      changes.tags = this.normalizeTags(tags);
+    }
+    if (modifiedAt !== undefined) {
+      changes.modifiedAt = modifiedAt;
+    }
+    return await this.commitRevision(id, changes);
+  }
+
+  /**
+   * Lists the stored revisions of a file, oldest first, without loading their contents
+   * The current version is not included; see the `revision` field of the file descriptor
+   * @param {string} id - The unique ID of the file
+   * @returns {Promise<Array<Object>>} Array of { rev, filename, size, mimeType, hash, savedAt }
+   */
+  async listRevisions(id) {
+    return (await this.revisions.getItem(id)) || [];
+  }
+
+  /**
+   * Opens a stored revision of a file and dispatches a file-opened event
+   * @param {string} id - The unique ID of the file
+   * @param {number} rev - The revision number to open
+   * @returns {Promise<Object|null>} The revision with id, rev, filename, contents, metadata and savedAt, or null if not found
+   * @fires file-opened - Custom event containing the revision data
+   */
+  async openRevision(id, rev) {
+    const snapshot = await this.revisions.getItem(this.revisionKey(id, rev));
+    if (!snapshot) return null;
+
+    const contents = await this.readBlob(snapshot.hash, snapshot.mimeType);
+    const revision = { id, rev, ...snapshot, contents };
+    this.event("file-opened", revision);
+    return revision;
+  }
+
+  /**
+   * Restores a stored revision as the current version of a file
+   * The version being replaced is itself kept as a new revision, so restoring can be undone
+   * @param {string} id - The unique ID of the file
+   * @param {number} rev - The revision number to restore
+   * @returns {Promise<Object>} The updated index descriptor
+   * @throws {Error} When the revision does not exist
+   */
+  async restoreRevision(id, rev) {
+    const snapshot = await this.revisions.getItem(this.revisionKey(id, rev));
+    if (!snapshot) {
+      throw new Error(`Revision ${rev} of file ${id} not found`);
+    }
+    const { filename, hash, size, mimeType, metadata } = snapshot;
+    return await this.commitRevision(id, { filename, hash, size, mimeType, metadata });
+  }
+
+  /**
+   * Applies changes to a file as a new revision while holding the file's record lock
+   * @param {string} id - The unique ID of the file
+   * @param {Object} changes - Fields to replace; see writeRevision()
+   * @returns {Promise<Object>} The updated index descriptor
+   * @throws {Error} When no file exists with the given ID
+   * @fires file-updated - Custom event containing the updated descriptor
+   * @fires file-clerk-error - When the update fails
+   */
+  async commitRevision(id, changes) {
+    let descriptor;
+    try {
+      descriptor = await this.withLock(`record:${id}`, () => this.writeRevision(id, changes));
+    } catch (error) {
+      this.handleError("FILE_UPDATE_ERROR", error);
+      throw error;
+    }
+    await this.checkQuota();
+    this.event("file-updated", descriptor);
+    this.broadcast("updated", id);
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+
+    return descriptor;
+  }
+
+  /**
+   * Snapshots the current version of a file into the revision store and applies changes to it
+   * Prunes the oldest snapshots beyond the retention limit. The current version's content
+   * reference passes to its snapshot; new contents are stored, and reused content is retained again.
+   * Callers must hold the file's record lock.
+   * @param {string} id - The unique ID of the file
+   * @param {Object} changes - Fields to replace: filename, folder, metadata, tags, modifiedAt, and either
+   *   contents (a Blob to store) or hash/size/mimeType of content already in the blob store
+   * @returns {Promise<Object>} The updated index descriptor
+   * @throws {Error} When no file exists with the given ID
+   */
+  async writeRevision(id, changes) {
+    const current = await this.records.getItem(id);
+    if (!current || current.deletedAt) {
+      throw this.notFoundError(id);
+    }
+
+    const { contents, ...fields } = changes;
+    let content;
+    if (contents) {
+      content = await this.withCapacity(await this.addedBytes([contents]), id, () => this.storeBlob(contents));
+    } else {
+      const { hash, size, mimeType } = { ...current, ...fields };
+      await this.retainBlob(hash);
+      content = { hash, size, mimeType };
+    }
+
+    const currentRev = current.revision || 1;
+    let history = await this.listRevisions(id);
+
+    if (this.maxRevisions > 0) {
+      const savedAt = current.modifiedAt || current.createdAt || null;
+      const { filename, hash, size, mimeType, metadata } = current;
+      await this.revisions.setItem(this.revisionKey(id, currentRev), {
+        filename, hash, size, mimeType, metadata, savedAt,
+      });
+      history.push({ rev: currentRev, filename, size, mimeType, hash, savedAt });
+    } else {
+      await this.releaseBlob(current.hash);
+    }
+
+    const expired = history.slice(0, Math.max(0, history.length - this.maxRevisions));
+    for (const old of expired) {
+      await this.removeRevision(id, old.rev);
+    }
+    history = history.slice(expired.length);
+    await this.revisions.setItem(id, history);
+
+    const fileData = {
+      ...current,
+      ...fields,
+      ...content,
+      modifiedAt: fields.modifiedAt || new Date().toISOString(),
+      revision: currentRev + 1,
+    };
+    await this.records.setItem(id, fileData);
+    const descriptor = this.describe(id, fileData);
+    await this.indexFile(id, descriptor);
+    return descriptor;
+  }
+
+  /**
+   * Builds the revision store key for a snapshot
+   * @param {string} id - The unique ID of the file
+   * @param {number} rev - The revision number
+   * @returns {string} The storage key
+   */
+  revisionKey(id, rev) {
+    return `${id}@${rev}`;
+  }
+
+  /**
+   * Removes a revision snapshot and releases its content reference
+   * Does not update the revision list of the file
+   * @param {string} id - The unique ID of the file
+   * @param {number} rev - The revision number
+   * @returns {Promise<void>}
+   */
+  async removeRevision(id, rev) {
+    const key = this.revisionKey(id, rev);
+    const snapshot = await this.revisions.getItem(key);
+    if (snapshot) {
+      await this.releaseBlob(snapshot.hash);
+    }
+    await this.revisions.removeItem(key);
+  }
+
+  /**
+   * Deletes a file by its ID, moving it to the trash unless the deletion is permanent
+   * Trashed files keep their contents and revisions and no longer appear in listFiles()
+   * @param {string} id - The unique ID of the file to delete
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.permanent=false] - Skip the trash and purge the file immediately
+   * @returns {Promise<Object|null>} The deleted file's descriptor, or null if it did not exist
+   * @fires file-deleted - Custom event containing the deleted descriptor and whether the deletion was permanent
+   * @fires file-clerk-error - When the deletion fails
+   */
+  async deleteFile(id, { permanent = false } = {}) {
+    const purge = permanent || this.trashRetentionDays === 0;
+    let descriptor;
+    try {
+      if (purge) {
+        descriptor = await this.purgeFile(id);
+      } else {
+        descriptor = await this.withLock(`record:${id}`, () => this.trashFile(id));
+        await this.purgeExpiredTrash();
+      }
+    } catch (error) {
+      this.handleError("FILE_DELETE_ERROR", error);
+      throw error;
+    }
+    if (!descriptor) return null;
+
+    this.event("file-deleted", { ...descriptor, permanent: purge });
+    this.broadcast("deleted", id);
+    
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+
+    return descriptor;
+  }
+
+  /**
+   * Moves a file record to the trash
+   * Callers must hold the file's record lock.
+   * @param {string} id - The unique ID of the file
+   * @returns {Promise<Object|null>} The trash descriptor, or null when there is no live file with the ID
+   */
+  async trashFile(id) {
+    const fileData = await this.records.getItem(id);
+    if (!fileData || fileData.deletedAt) return null;
+
+    fileData.deletedAt = new Date().toISOString();
+    await this.records.setItem(id, fileData);
+    await this.unindexFile(id);
+    const descriptor = this.describe(id, fileData);
+    await this.trash.setItem(id, descriptor);
+    return descriptor;
+  }
+
+  /**
+   * Moves a file record out of the trash
+   * Callers must hold the file's record lock.
+   * @param {string} id - The unique ID of the file
+   * @returns {Promise<Object|null>} The restored index descriptor, or null when the file is not in the trash
+   */
+  async untrashFile(id) {
+    const fileData = await this.records.getItem(id);
+    if (!fileData || !fileData.deletedAt) return null;
+
+    delete fileData.deletedAt;
+    await this.records.setItem(id, fileData);
+    await this.trash.removeItem(id);
+    const descriptor = this.describe(id, fileData);
+    await this.indexFile(id, descriptor);
+    return descriptor;
+  }
+
+  /**
+   * Lists files in the trash, most recently deleted first, without loading their contents
+   * @returns {Promise<Array<Object>>} Descriptors with deletedAt and expiresAt added
+   */
+  async listTrash() {
+    const retention = this.trashRetentionDays * 24 * 60 * 60 * 1000;
+    const files = [];
+    await this.trash.iterate((descriptor) => {
+      const expiresAt = new Date(Date.parse(descriptor.deletedAt) + retention).toISOString();
+      files.push({ ...descriptor, expiresAt });
+    });
+    return files.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * Restores a file from the trash
+   * @param {string} id - The unique ID of the trashed file
+   * @returns {Promise<Object>} The restored file's index descriptor
+   * @throws {Error} When the file is not in the trash
+   * @fires file-updated - Custom event containing the restored descriptor
+   */
+  async restoreFile(id) {
+    const descriptor = await this.withLock(`record:${id}`, () => this.untrashFile(id));
+    if (!descriptor) {
+      throw new Error(`File not in trash: ${id}`);
+    }
+    this.event("file-updated", descriptor);
+    this.broadcast("restored", id);
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+
+    return descriptor;
+  }
+
+  /**
+   * Permanently deletes every file in the trash
+   * @returns {Promise<void>}
+   */
+  async emptyTrash() {
+    for (const id of await this.trash.keys()) {
+      await this.purgeFile(id);
+    }
+    this.broadcast("trash-emptied");
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+  }
+
+  /**
+   * Permanently deletes trashed files older than the retention period
+   * @returns {Promise<void>}
+   */
+  async purgeExpiredTrash() {
+    const now = new Date().toISOString();
+    for (const file of await this.listTrash()) {
+      if (file.expiresAt <= now) {
+        await this.purgeFile(file.id);
+        this.log(`Purged ${file.filename} from trash`);
+      }
+    }
+  }
+
+  /**
+   * Permanently deletes a file and its revision history from browser storage by its ID
+   * Content shared with other files stays stored until its last reference is removed
+   * @param {string} id - The unique ID of the file to purge
+   * @returns {Promise<Object|null>} The purged file's descriptor, or null if it did not exist
+   */
+  async purgeFile(id) {
+    return await this.withLock(`record:${id}`, async () => {
+      for (const revision of await this.listRevisions(id)) {
+        await this.removeRevision(id, revision.rev);
+      }
+      await this.revisions.removeItem(id);
+
+      const fileData = await this.records.getItem(id);
+      if (fileData) {
+        await this.releaseBlob(fileData.hash);
+      }
+      await this.records.removeItem(id);
+      await this.unindexFile(id);
+      await this.trash.removeItem(id);
+      return fileData ? this.describe(id, fileData) : null;
+    });
+  }
+
+  /**
+   * Creates a folder and any missing parent folders
+   * Folders holding files exist implicitly; creating one explicitly keeps it listed while empty
+   * @param {string} path - The folder path, e.g. "/docs/2024"
+   * @returns {Promise<string>} The normalized folder path
+   */
+  async createFolder(path) {
+    const folder = this.normalizePath(path);
+    const createdAt = new Date().toISOString();
+    let current = "";
+    for (const segment of folder.split("/").filter(Boolean)) {
+      current += `/${segment}`;
+      if (!(await this.folders.getItem(current))) {
+        await this.folders.setItem(current, { path: current, createdAt });
+      }
+    }
+    this.broadcast("folder-created", folder);
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+
+    return folder;
+  }
+
+  /**
+   * Lists the immediate contents of a folder
+   * @param {string} [path="/"] - The folder path
+   * @returns {Promise<Object>} { path, folders: [{ path, name }], files: [descriptors] }, each sorted by name
+   */
+  async listFolder(path = "/") {
+    const folder = this.normalizePath(path);
+    const files = await this.listFiles({ filter: { folder }, sortBy: "filename" });
+
+    const children = new Set();
+    const addChild = (descendant) => {
+      if (descendant === folder || !this.isInFolder(descendant, folder)) return;
+      const rest = descendant.slice(folder === "/" ? 1 : folder.length + 1);
+      children.add(this.joinPath(folder, rest.split("/")[0]));
+    };
+    for (const key of await this.folders.keys()) {
+      addChild(key);
+    }
+    await this.index.iterate((descriptor) => {
+      addChild(descriptor.folder);
+    });
+
+    const folders = [...children].sort().map((child) => ({ path: child, name: child.split("/").pop() }));
+    return { path: folder, folders, files };
+  }
+
+  /**
+   * Lists every folder in the store, whether created explicitly or implied by the files in it
+   * @returns {Promise<Array<string>>} Folder paths (excluding the root), sorted
+   */
+  async listFolders() {
+    const paths = new Set(await this.folders.keys());
+    await this.index.iterate((descriptor) => {
+      let folder = descriptor.folder;
+      while (folder && folder !== "/") {
+        paths.add(folder);
+        folder = folder.slice(0, folder.lastIndexOf("/")) || "/";
+      }
+    });
+    return [...paths].sort();
+  }
+
+  /**
+   * Moves a file to another folder, creating the folder implicitly
+   * @param {string} id - The unique ID of the file
+   * @param {string} folder - The destination folder path
+   * @returns {Promise<Object>} The updated index descriptor
+   * @throws {Error} When no file exists with the given ID
+   * @fires file-updated - Custom event containing the moved descriptor
+   * @fires file-clerk-error - When the move fails
+   */
+  async moveFile(id, folder) {
+    let descriptor;
+    try {
+      const destination = this.normalizePath(folder);
+      descriptor = await this.withLock(`record:${id}`, () => this.relocate(id, destination));
+      if (!descriptor) {
+        throw this.notFoundError(id);
+      }
+    } catch (error) {
+      this.handleError("FILE_UPDATE_ERROR", error);
+      throw error;
+    }
+    this.event("file-updated", descriptor);
+    this.broadcast("moved", id);
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+
+    return descriptor;
+  }
+
+  /**
+   * Renames (or moves) a folder, carrying its subfolders and files along, including files in the trash
+   * @param {string} path - The folder to rename
+   * @param {string} newPath - Its new path
+   * @returns {Promise<string>} The normalized new path
+   * @throws {Error} When renaming the root or moving a folder into itself
+   */
+  async renameFolder(path, newPath) {
+    const from = this.normalizePath(path);
+    const to = this.normalizePath(newPath);
+    if (from === "/") {
+      throw new Error("The root folder cannot be renamed");
+    }
+    if (this.isInFolder(to, from)) {
+      throw new Error(`Cannot move ${from} into itself`);
+    }
+    const rebase = (folder) => this.normalizePath(to + folder.slice(from.length));
+
+    for (const key of await this.folders.keys()) {
+      if (!this.isInFolder(key, from)) continue;
+      const entry = await this.folders.getItem(key);
+      await this.folders.removeItem(key);
+      await this.folders.setItem(rebase(key), { ...entry, path: rebase(key) });
+    }
+
+    const moved = [];
+    for (const table of [this.index, this.trash]) {
+      await table.iterate((descriptor) => {
+        if (this.isInFolder(descriptor.folder, from)) {
+          moved.push(descriptor);
+        }
+      });
+    }
+    for (const file of moved) {
+      await this.withLock(`record:${file.id}`, () => this.relocate(file.id, rebase(file.folder)));
+    }
+    this.broadcast("folder-renamed", from);
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+
+    return to;
+  }
+
+  /**
+   * Deletes a folder with its subfolders and files
+   * @param {string} path - The folder to delete
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.permanent=false] - Purge the files instead of moving them to the trash
+   * @returns {Promise<number>} The number of files deleted
+   * @throws {Error} When deleting the root folder
+   */
+  async deleteFolder(path, { permanent = false } = {}) {
+    const folder = this.normalizePath(path);
+    if (folder === "/") {
+      throw new Error("The root folder cannot be deleted; use clearStore() instead");
+    }
+
+    const files = await this.listFiles({ filter: (file) => this.isInFolder(file.folder, folder) });
+    for (const file of files) {
+      await this.deleteFile(file.id, { permanent });
+    }
+    for (const key of await this.folders.keys()) {
+      if (this.isInFolder(key, folder)) {
+        await this.folders.removeItem(key);
+      }
+    }
+    this.broadcast("folder-deleted", folder);
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+
+    return files.length;
+  }
+
+  /**
+   * Sets the folder of a file record and refreshes its index or trash entry
+   * Callers must hold the file's record lock.
+   * @param {string} id - The unique ID of the file
+   * @param {string} folder - The normalized destination folder
+   * @returns {Promise<Object|null>} The updated descriptor, or null when the file does not exist
+   */
+  async relocate(id, folder) {
+    const fileData = await this.records.getItem(id);
+    if (!fileData) return null;
+
+    fileData.folder = folder;
+    fileData.modifiedAt = new Date().toISOString();
+    await this.records.setItem(id, fileData);
+    const descriptor = this.describe(id, fileData);
+    await (fileData.deletedAt ? this.trash : this.index).setItem(id, descriptor);
+    return descriptor;
+  }
+
+  /**
+   * Normalizes a folder path to an absolute path without a trailing slash
+   * @param {string} [path] - A path such as "docs/2024/", "/docs//2024" or ""
+   * @returns {string} The normalized path, e.g. "/docs/2024", or "/" for the root
+   * @throws {Error} When the path contains "." or ".." segments
+   */
+  normalizePath(path = "/") {
+    const segments = String(path).split("/").map((segment) => segment.trim()).filter(Boolean);
+    if (segments.some((segment) => segment === "." || segment === "..")) {
+      throw new Error(`Invalid folder path: ${path}`);
+    }
+    return `/${segments.join("/")}`;
+  }
+
+  /**
+   * Splits a file path into its normalized folder and file name
+   * @param {string} filePath - A file name, optionally with a folder path ("docs/notes.txt")
+   * @returns {Object} { folder, name }
+   */
+  splitPath(filePath) {
+    const path = String(filePath);
+    const slash = path.lastIndexOf("/");
+    return {
+      folder: this.normalizePath(slash === -1 ? "/" : path.slice(0, slash)),
+      name: path.slice(slash + 1),
+    };
+  }
+
+  /**
+   * Joins a folder path and a name
+   * @param {string} folder - A normalized folder path
+   * @param {string} name - A file or folder name
+   * @returns {string} The joined path
+   */
+  joinPath(folder, name) {
+    return folder === "/" ? `/${name}` : `${folder}/${name}`;
+  }
+
+  /**
+   * Checks whether a folder is the given folder or one of its descendants
+   * @param {string} folder - The folder to test
+   * @param {string} ancestor - The potential ancestor
+   * @returns {boolean} True when folder is ancestor or lies inside it
+   */
+  isInFolder(folder, ancestor) {
+    return ancestor === "/" || folder === ancestor || String(folder).startsWith(`${ancestor}/`);
+  }
+
+  /**
+   * Adds one or more tags to a file
+   * @param {string} id - The unique ID of the file
+   * @param {string|Array<string>} tags - Tag or tags to add; tags are trimmed and lowercased
+   * @returns {Promise<Object>} The updated index descriptor
+   * @throws {Error} When no file exists with the given ID
+   */
+  async addTag(id, tags) {
+    return await this.retag(id, (current) => [...current, ...this.normalizeTags(tags)]);
+  }
+
+  /**
+   * Removes one or more tags from a file
+   * @param {string} id - The unique ID of the file
+   * @param {string|Array<string>} tags - Tag or tags to remove
+   * @returns {Promise<Object>} The updated index descriptor
+   * @throws {Error} When no file exists with the given ID
+   */
+  async removeTag(id, tags) {
+    const removed = this.normalizeTags(tags);
+    return await this.retag(id, (current) => current.filter((tag) => !removed.includes(tag)));
+  }
+
+  /**
+   * Replaces all tags of a file
+   * @param {string} id - The unique ID of the file
+   * @param {Array<string>} tags - The new tags
+   * @returns {Promise<Object>} The updated index descriptor
+   * @throws {Error} When no file exists with the given ID
+   */
+  async setTags(id, tags) {
+    return await this.retag(id, () => this.normalizeTags(tags));
+  }
+
+  /**
+   * Finds the files carrying a tag using the lookup index
+   * @param {string} tag - The tag to look for
+   * @returns {Promise<Array<Object>>} Descriptors of the tagged files, sorted by path
+   */
+  async findByTag(tag) {
+    const [normalized] = this.normalizeTags(tag);
+    return normalized ? await this.lookupFiles(`tag:${normalized}`) : [];
+  }
+
+  /**
+   * Finds files whose metadata (or automatic field) has the given value
+   * Custom metadata keys, mimeType and originalFilename are read from the lookup index; other
+   * descriptor fields (size, createdAt, folder, ...) and non-primitive values are matched by scanning
+   * @param {string} key - Metadata key or descriptor field
+   * @param {*} value - The value to match exactly
+   * @returns {Promise<Array<Object>>} Descriptors of the matching files, sorted by path
+   */
+  async findByMetadata(key, value) {
+    const scanned = ["id", "filename", "folder", "path", "size", "hash", "createdAt", "modifiedAt", "accessedAt", "revision"];
+    if (!scanned.includes(key) && this.isLookupValue(value)) {
+      return await this.lookupFiles(this.metadataTerm(key, value));
+    }
+
+    const expected = JSON.stringify(value);
+    return await this.listFiles({
+      filter: (file) => JSON.stringify(key in file ? file[key] : file.metadata[key]) === expected,
+      sortBy: "path",
+    });
+  }
+
+  /**
+   * Changes the tags of a file without recording a revision and announces the update
+   * @param {string} id - The unique ID of the file
+   * @param {Function} update - Receives the current tags and returns the new ones
+   * @returns {Promise<Object>} The updated index descriptor
+   * @throws {Error} When no file exists with the given ID
+   * @fires file-updated - Custom event containing the updated descriptor
+   * @fires file-clerk-error - When the update fails
+   */
+  async retag(id, update) {
+    let descriptor;
+    try {
+      descriptor = await this.withLock(`record:${id}`, async () => {
+        const fileData = await this.records.getItem(id);
+        if (!fileData || fileData.deletedAt) {
+          throw this.notFoundError(id);
+        }
+
+        fileData.tags = this.normalizeTags(update(fileData.tags || []));
+        fileData.modifiedAt = new Date().toISOString();
+        await this.records.setItem(id, fileData);
+        const updated = this.describe(id, fileData);
+        await this.indexFile(id, updated);
+        return updated;
+      });
+    } catch (error) {
+      this.handleError("FILE_UPDATE_ERROR", error);
+      throw error;
+    }
+    this.event("file-updated", descriptor);
+    this.broadcast("updated", id);
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+
+    return descriptor;
+  }
+
+  /**
+   * Converts a metadata argument into the stored metadata object
+   * @param {*} metadata - An object, a notes string, another value, or nothing
+   * @returns {Object} A metadata object: a copy of an object, { notes } for a string, { value } otherwise
+   */
+  normalizeMetadata(metadata) {
+    if (metadata == null || metadata === "") return {};
+    if (typeof metadata === "string") return { notes: metadata };
+    if (typeof metadata === "object" && !Array.isArray(metadata)) return { ...metadata };
+    return { value: metadata };
+  }
+
+  /**
+   * Normalizes tags: trimmed, lowercased, without empty or repeated tags
+   * @param {string|Array<string>} tags - A tag or list of tags
+   * @returns {Array<string>} The normalized tags
+   */
+  normalizeTags(tags) {
+    const normalized = [].concat(tags || []).map((tag) => String(tag).trim().toLowerCase()).filter(Boolean);
+    return [...new Set(normalized)];
+  }
+
+  /**
+   * Searches filenames, notes and the text of text files
+   * Every word of the query must match a whole word; results are ranked by TF-IDF with
+   * matches in filenames weighted above notes, and notes above contents
+   * @param {string} query - The search text
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit=20] - Maximum number of results
+   * @returns {Promise<Array<Object>>} Results, best first, as { id, score, snippet, file } where snippet is
+   *   HTML-escaped text around the first match with matched words wrapped in <mark>
+   */
+  async search(query, { limit = 20 } = {}) {
+    const tokens = [...new Set(this.tokenize(query))];
+    if (tokens.length === 0) return [];
+
+    const docCount = (await this.searchIndex.keys()).filter((key) => key.startsWith("doc:")).length;
+    let scores = null;
+    for (const token of tokens) {
+      const postings = (await this.searchIndex.getItem(await this.searchKey(token))) || {};
+      const ids = Object.keys(postings);
+      const idf = Math.log(1 + docCount / Math.max(1, ids.length));
+      const next = new Map();
+      for (const id of ids) {
+        if (scores && !scores.has(id)) continue;
+        next.set(id, (scores ? scores.get(id) : 0) + (1 + Math.log(postings[id])) * idf);
+      }
+      scores = next;
+    }
+
+    const ranked = [...scores].sort((a, b) => b[1] - a[1]).slice(0, limit);
+    const results = [];
+    for (const [id, score] of ranked) {
+      const file = await this.index.getItem(id);
+      if (!file) continue;
+      results.push({ id, score, snippet: await this.searchSnippet(file, tokens), file });
+    }
+    return results;
+  }
+
+  /**
+   * Lists stored files from the metadata index without loading their contents
+   * @param {Object} [options] - Query options
+   * @param {Array<string>} [options.fields] - Descriptor fields to return; include "contents" to also load each Blob
+   * @param {Function|Object} [options.filter] - Predicate called with each descriptor, or an object of field values to match
+   * @param {string} [options.sortBy] - Descriptor field to sort by (e.g. "filename", "size", "createdAt", "modifiedAt")
+   * @param {string} [options.order="asc"] - Sort order, "asc" or "desc"
+   * @param {number} [options.offset=0] - Number of matching files to skip
+   * @param {number} [options.limit=Infinity] - Maximum number of files to return
+   * @returns {Promise<Array<Object>>} Array of descriptors with id, filename, folder, path, size, mimeType, hash, createdAt, modifiedAt, revision and metadata
+   *
+   * @example
+   * const inDocs = await clerk.listFiles({ filter: { folder: '/docs' } });
+   * const page = await clerk.listFiles({
+   *   filter: (f) => f.mimeType.startsWith('image/'),
+   *   sortBy: 'size',
+   *   order: 'desc',
+   *   offset: 50,
+   *   limit: 50
+   * });
+   */
+  async listFiles({ fields, filter, sortBy, order = "asc", offset = 0, limit = Infinity } = {}) {
+    let files = [];
+    await this.index.iterate((descriptor) => {
+      files.push(descriptor);
+    });
+
+    if (filter) {
+      files = files.filter(this.createMatcher(filter));
+    }
+
+    if (sortBy) {
+      const direction = order === "desc" ? -1 : 1;
+      files.sort((a, b) => this.compareValues(a[sortBy], b[sortBy]) * direction);
+    }
+
+    files = files.slice(offset, offset + limit);
+
+    if (fields) {
+      files = await Promise.all(files.map((file) => this.pickFields(file, fields)));
+    }
+
+    return files;
+  }
+
+  /**
+   * Reads the stored contents of a file without dispatching any events
+   * @param {string} id - The unique ID of the file
+   * @returns {Promise<Blob|null>} The file contents, or null if not found
+   */
+  async getContents(id) {
+    const fileData = await this.records.getItem(id);
+    return fileData ? await this.readBlob(fileData.hash, fileData.mimeType) : null;
+  }
+
+  /**
+   * Streams the stored contents of a file without dispatching any events
+   * Unencrypted contents are streamed straight from the storage backend, which for the
+   * OPFS backend reads the file lazily instead of loading it into memory
+   * @param {string} id - The unique ID of the file
+   * @returns {Promise<ReadableStream|null>} A stream of the file's bytes, or null if not found or in the trash
+   */
+  async getStream(id) {
+    const fileData = await this.records.getItem(id);
+    if (!fileData || fileData.deletedAt) return null;
+
+    const blobId = await this.blobId(fileData.hash);
+    const entry = await this.readEntry(blobId);
+    if (entry && entry.chunks) {
+      return this.streamChunks(blobId, entry);
+    }
+    if (entry && !entry.encrypted) {
+      return await this.blobs.stream(blobId);
+    }
+    const blob = await this.readBlob(fileData.hash, fileData.mimeType);
+    return blob ? blob.stream() : null;
+  }
+
+  /**
+   * Reads a byte span of a file without dispatching any events
+   * Only the chunks holding the span are read from storage, so large files can be
+   * paged through (e.g. to seek in a video) without loading them whole.
+   * Offsets work like Blob.slice(): negative values count from the end.
+   * @param {string} id - The unique ID of the file
+   * @param {number} [start=0] - First byte to read
+   * @param {number} [end] - Byte after the last byte to read; defaults to the end of the file
+   * @returns {Promise<Blob|null>} The bytes, typed with the file's MIME type, or null if not found
+   *   or in the trash
+   */
+  async getRange(id, start = 0, end) {
+    const fileData = await this.records.getItem(id);
+    if (!fileData || fileData.deletedAt) return null;
+
+    const blobId = await this.blobId(fileData.hash);
+    const entry = await this.readEntry(blobId);
+    if (!entry) return null;
+    const clamp = (offset) => Math.min(entry.size, Math.max(0, offset < 0 ? entry.size + offset : offset));
+    const from = clamp(start);
+    const to = Math.max(from, clamp(end === undefined ? entry.size : end));
+
+    if (!entry.chunks) {
+      const blob = await this.readBlob(fileData.hash, fileData.mimeType);
+      return blob.slice(from, to, fileData.mimeType);
+    }
+
+    const { first, last, offset } = chunkRange(from, to, entry.chunkSize);
+    const parts = [];
+    for (let index = first; index <= last && index < entry.chunks; index++) {
+      parts.push({ index, data: await this.readChunk(blobId, index, entry) });
+    }
+    return joinBlobs(parts).slice(offset, offset + to - from, fileData.mimeType);
+  }
+
+  /**
+   * Finds groups of files whose contents are byte-for-byte identical
+   * @returns {Promise<Array<Object>>} Array of { hash, size, files } where files holds two or more descriptors
+   */
+  async findDuplicates() {
+    const groups = new Map();
+    for (const file of await this.listFiles({ sortBy: "createdAt" })) {
+      if (!groups.has(file.hash)) {
+        groups.set(file.hash, []);
+      }
+      groups.get(file.hash).push(file);
+    }
+    return [...groups.entries()]
+      .filter(([, files]) => files.length > 1)
+      .map(([hash, files]) => ({ hash, size: files[0].size, files }));
+  }
+
+  /**
+   * Opens a file from storage by its ID and dispatches a file-opened event
+   * @param {string} id - The unique ID of the file to open
+   * @returns {Promise<Object|null>} The file data with contents as a Blob, or null if not found
+   * @fires file-opened - Custom event containing the file data
+   * @fires file-clerk-error - When the file cannot be read
+   */
+  async openFile(id) {
+    let fileData;
+    let contents;
+    try {
+      fileData = await this.withLock(`record:${id}`, async () => {
+        const record = await this.records.getItem(id);
+        if (!record || record.deletedAt) return null;
+
+        // Access time is only kept for the "lru" eviction policy, sparing a write on every read
+        if (this.evictionPolicy === "lru") {
+          record.accessedAt = new Date().toISOString();
+          await this.records.setItem(id, record);
+          await this.index.setItem(id, this.describe(id, record));
+        }
+        return record;
+      });
+      if (!fileData) return null;
+
+      contents = await this.readBlob(fileData.hash, fileData.mimeType);
+    } catch (error) {
+      this.handleError("FILE_READ_ERROR", error);
+      throw error;
+    }
+
+    const file = { id, ...fileData, metadata: this.normalizeMetadata(fileData.metadata), tags: fileData.tags || [], contents };
+    // Use dataroom-js event method instead of CustomEvent
+    this.event("file-opened", file);
+    return file;
+  }
+
+  /**
+   * Reports storage use of the origin (from navigator.storage.estimate()) and of this store
+   * @returns {Promise<Object>} { usage, quota, storeBytes, fileBytes, fileCount, maxBytes } where
+   *   storeBytes counts each stored Blob once and fileBytes sums the size of every file
+   */
+  async getUsage() {
+    const estimate = navigator.storage && navigator.storage.estimate
+      ? await navigator.storage.estimate()
+      : {};
+    const files = await this.listFiles({ fields: ["size"] });
+    return {
+      usage: estimate.usage ?? null,
+      quota: estimate.quota ?? null,
+      storeBytes: await this.storeBytes(),
+      fileBytes: files.reduce((total, file) => total + file.size, 0),
+      fileCount: files.length,
+      maxBytes: this.maxBytes || null,
+    };
+  }
+
+  /**
+   * Asks the browser to keep this origin's storage when it is under storage pressure
+   * @returns {Promise<boolean>} True if storage is (now) persistent
+   */
+  async requestPersistence() {
+    if (!navigator.storage || !navigator.storage.persist) {
+      return false;
+    }
+    if (await navigator.storage.persisted()) {
+      return true;
+    }
+    return await navigator.storage.persist();
+  }
+
+  /**
+   * Sums the size of every Blob in the store's blob store
+   * The blob store is scanned once; storeBlob() and releaseBlob() then keep the total up to
+   * date, and it is scanned again after another tab changes the store
+   * @returns {Promise<number>} Stored bytes, counting shared contents once
+   */
+  async storeBytes() {
+    if (this.storedBytes === null) {
+      let total = 0;
+      for (const blobId of await this.blobs.keys()) {
+        const entry = await this.readEntry(blobId);
+        total += (entry && entry.size) || 0;
+      }
+      this.storedBytes = total;
+    }
+    return this.storedBytes;
+  }
+
+  /**
+   * Counts the bytes storing some contents would add to the store
+   * Contents already in the blob store, or repeated in the list, only gain a reference. Without
+   * max-bytes nothing is hashed and the full size is returned.
+   * @param {Array<Blob>} blobs - The contents about to be stored
+   * @returns {Promise<number>} Bytes of the contents not stored yet
+   */
+  async addedBytes(blobs) {
+    if (!this.maxBytes) {
+      return blobs.reduce((total, blob) => total + blob.size, 0);
+    }
+    const hashes = new Set();
+    let bytes = 0;
+    for (const blob of blobs) {
+      const hash = await this.hashBlob(blob);
+      if (hashes.has(hash)) continue;
+      hashes.add(hash);
+      if (!(await this.readEntry(await this.blobId(hash)))) {
+        bytes += blob.size;
+      }
+    }
+    return bytes;
+  }
+
+  /**
+   * Runs a write that adds bytes to the store, enforcing max-bytes and handling a full quota
+   * Evicts files according to the eviction policy when one is set; otherwise, or when
+   * eviction cannot free enough space, fails with a storage-full error
+   * @param {number} bytes - Bytes the write adds
+   * @param {string|null} keepId - A file that must not be evicted (the one being updated)
+   * @param {Function} write - Async function performing the write
+   * @returns {Promise<*>} The result of the write
+   * @throws {Error} storage-full error (code "STORAGE_FULL")
+   */
+  async withCapacity(bytes, keepId, write) {
+    if (this.maxBytes) {
+      const overflow = (await this.storeBytes()) + bytes - this.maxBytes;
+      if (overflow > 0 && (!this.evictionPolicy || (await this.evict(overflow, keepId)) < overflow)) {
+        throw this.storageFullError(bytes);
+      }
+    }
+
+    try {
+      return await write();
+    } catch (error) {
+      if (!this.isQuotaError(error)) throw error;
+      if (!this.evictionPolicy || (await this.evict(bytes, keepId)) === 0) {
+        throw this.storageFullError(bytes, error);
+      }
+      try {
+        return await write();
+      } catch (retryError) {
+        if (!this.isQuotaError(retryError)) throw retryError;
+        throw this.storageFullError(bytes, retryError);
+      }
+    }
+  }
+
+  /**
+   * Purges files until enough bytes have been freed: the trash first (oldest deletion first),
+   * then live files in eviction policy order
+   * Victims are purged without a file-deleted event each; one file-evicted event lists them all.
+   * @param {number} bytes - Bytes to free
+   * @param {string|null} keepId - A file that must not be evicted
+   * @returns {Promise<number>} Bytes actually freed
+   * @fires file-evicted - With the evicted descriptors, the policy and the bytes freed
+   */
+  async evict(bytes, keepId) {
+    const order = FileClerk.EVICTION_POLICIES[this.evictionPolicy];
+    const trashed = (await this.listTrash()).reverse();
+    const live = (await this.listFiles()).filter((file) => file.id !== keepId).sort(order);
+    const candidates = [...trashed, ...live];
+    const before = await this.storeBytes();
+    const files = [];
+    let freed = 0;
+
+    for (const file of candidates) {
+      if (freed >= bytes) break;
+      if (!(await this.purgeFile(file.id))) continue;
+      files.push(file);
+      freed = before - (await this.storeBytes());
+      this.log(`Evicted ${file.filename} (${this.evictionPolicy})`);
+    }
+    if (files.length === 0) return freed;
+
+    this.event("file-evicted", { files, policy: this.evictionPolicy, freed, store: this.storeName });
+    this.broadcast("evicted");
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+
+    return freed;
+  }
+
+  /**
+   * Fires quota-warning when storage use reaches a higher configured threshold than before
+   * Use is measured against max-bytes when set, otherwise against the browser quota
+   * @returns {Promise<void>}
+   * @fires quota-warning - Custom event with the usage report, ratio and crossed threshold
+   */
+  async checkQuota() {
+    if (this.quotaThresholds.length === 0) return;
+
+    let ratio;
+    if (this.maxBytes) {
+      ratio = (await this.storeBytes()) / this.maxBytes;
+    } else {
+      const estimate = navigator.storage && navigator.storage.estimate
+        ? await navigator.storage.estimate()
+        : {};
+      ratio = estimate.quota ? estimate.usage / estimate.quota : 0;
+    }
+    const threshold = this.quotaThresholds.filter((t) => ratio >= t).pop() || 0;
+
+    if (threshold > this.quotaLevel) {
+      // The full report lists every file, so it is only built when a warning fires
+      this.event("quota-warning", { ...(await this.getUsage()), ratio, threshold });
+    }
+    this.quotaLevel = threshold;
+  }
+
+  /**
+   * Checks whether an error means the browser refused a write for lack of space
+   * @param {Error} error - The error to check
+   * @returns {boolean} True for quota errors from IndexedDB or localStorage
+   */
+  isQuotaError(error) {
+    return Boolean(error) && (
+      error.name === "QuotaExceededError" ||
+      error.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+      error.code === 22 ||
+      error.code === 1014
+    );
+  }
+
+  /**
+   * Creates the error thrown when a file does not fit in the store
+   * @param {number} bytes - Size of the rejected write
+   * @param {Error} [cause] - The underlying quota error, if any
+   * @returns {Error} Error with name "StorageFullError" and code "STORAGE_FULL"
+   */
+  storageFullError(bytes, cause) {
+    const limit = this.maxBytes ? ` (max-bytes ${this.formatFileSize(this.maxBytes)})` : "";
+    const error = new Error(`Storage full: cannot store ${this.formatFileSize(bytes)} in "${this.storeName}"${limit}`, { cause });
+    error.name = "StorageFullError";
+    error.code = "STORAGE_FULL";
+    return error;
+  }
+
+  /**
+   * Creates the error thrown when a file does not exist (or is in the trash)
+   * @param {string} id - The unique ID that was not found
+   * @returns {Error} Error with code "FILE_NOT_FOUND"
+   */
+  notFoundError(id) {
+    const error = new Error(`File not found: ${id}`);
+    error.code = "FILE_NOT_FOUND";
+    return error;
+  }
+
+  /**
+   * Builds the error for a write from a clerk whose view of the store is out of date, because
+   * another clerk changed its passphrase, turned on encryption or moved it to another backend
+   * @returns {Error} Error with code "STORE_CHANGED"
+   */
+  staleStoreError() {
+    const error = new Error(`File Clerk store "${this.storeName}" was re-keyed or moved by another clerk; unlock or reopen it`);
+    error.code = "STORE_CHANGED";
+    return error;
+  }
+
+  /**
+   * Handles and formats errors from file operations
+   * Errors carrying one of the specific codes (STORAGE_FULL, STORE_LOCKED, STORE_CHANGED, FILE_NOT_FOUND,
+   * FILE_EXISTS) are reported under that code rather than the operation's
+   * @param {string} type - The type of operation that failed
+   * @param {Error} error - The original error object
+   * @returns {void}
+   */
+  handleError(type, error) {
+    const code = ["STORAGE_FULL", "STORE_LOCKED", "STORE_CHANGED", "FILE_NOT_FOUND", "FILE_EXISTS"].includes(error.code) ? error.code : type;
+    let message = "";
+
+    switch (code) {
+      case "STORAGE_FULL":
+      case "STORE_LOCKED":
+      case "STORE_CHANGED":
+      case "FILE_NOT_FOUND":
+      case "FILE_EXISTS":
+        message = error.message;
+        break;
+      case "FILE_SAVE_ERROR":
+        message = `Failed to save file: ${error.message}`;
+        break;
+      case "FILE_UPDATE_ERROR":
+        message = `Failed to update file: ${error.message}`;
+        break;
+      case "FILE_DELETE_ERROR":
+        message = `Failed to delete file: ${error.message}`;
+        break;
+      case "FILE_READ_ERROR":
+        message = `Failed to read file: ${error.message}`;
+        break;
+      case "BATCH_ERROR":
+        message = `Batch rolled back: ${error.message}`;
+        break;
+      default:
+        message = `Unknown error: ${error.message}`;
+    }
+
+    this.log(`Error: ${message}`);
+    this.dispatchError(code, message, error);
+  }
+
+  /**
+   * Dispatches a custom error event with detailed error information
+   * @param {string} type - The type of error
+   * @param {string} message - The formatted error message
+   * @param {Error} [originalError=null] - The original error object
+   * @returns {void}
+   * @fires file-clerk-error - Custom error event with error details
+   */
+  dispatchError(type, message, originalError = null) {
+    this.event("file-clerk-error", {
+      type: type,
+      message: message,
+      originalError: originalError
+    });
+  }
+
+  /**
+   * Opens a named store, creating its database on first use and registering it
+   * Sets the records, index, revisions, trash, folders, lookup, searchIndex, blobs and settings instances used by all file operations
+   * and loads the store's encryption settings, leaving an encrypted store locked
+   * @param {string} name - The store name
+   * @returns {Promise<void>}
+   */
+  async openStore(name) {
+    const dbName = FileClerk.DATABASE_PREFIX + name;
+    const getKey = () => this.requireKey();
+    const getPreviousKey = () => this.previousKey;
+    // Unguarded tables, for re-keying and copying the store while holding the store lock
+    this.tables = Object.fromEntries(FileClerk.TABLES.map((storeName) => [storeName, this.adapter.table(dbName, storeName)]));
+    const settings = this.tables.settings;
+    // Writes wait while the store is re-keyed or moved, and fail if that made this clerk stale
+    const guard = (write) => this.withLock("store", async () => {
+      if ((await settings.getItem("epoch")) !== this.epoch) {
+        throw this.staleStoreError();
+      }
+      return await write();
+    }, { mode: "shared" });
+    const table = (storeName) => guardedTable(sealedStore(this.tables[storeName], getKey, getPreviousKey), guard);
+    this.records = table("records");
+    this.index = table("index");
+    this.revisions = table("revisions");
+    this.trash = table("trash");
+    this.folders = table("folders");
+    this.lookup = table("lookup");
+    this.searchIndex = table("search");
+    this.blobs = guardedTable(this.tables.blobs, guard);
+    this.chunks = guardedTable(this.tables.chunks, guard);
+    this.settings = settings;
+    // Registry of store names created with this backend, shared by all clerks
+    this.registry = this.adapter.table("file-clerk", "stores");
+    this.lockQueues = new Map();
+    // Running total of storeBytes(), null until the blob store is first scanned
+    this.storedBytes = null;
+
+    if (this.channel) {
+      this.channel.close();
+    }
+    if (typeof BroadcastChannel === "function") {
+      this.channel = new BroadcastChannel(dbName);
+      this.channel.addEventListener("message", (event) => this.handleBroadcast(event.data));
+    }
+
+    this.encryption = await this.settings.getItem("encryption");
+    this.epoch = await this.settings.getItem("epoch");
+    this.cryptoKey = null;
+    this.previousKey = null;
+    this.hashKey = null;
+    this.locked = Boolean(this.encryption) || this.hasAttribute("encrypted");
+
+    if (!(await this.registry.getItem(name))) {
+      await this.registry.setItem(name, { name, createdAt: new Date().toISOString() });
+    }
+  }
+
+  /**
+   * Lists the names of all stores created on this origin with this clerk's storage backend
+   * @returns {Promise<Array<string>>} Store names, sorted alphabetically
+   */
+  async listStores() {
+    const names = await this.registry.keys();
+    return names.sort();
+  }
+
+  /**
+   * Removes every file from a store while keeping the store itself and its encryption settings
+   * @param {string} [name] - The store to clear; defaults to this clerk's store
+   * @returns {Promise<void>}
+   */
+  async clearStore(name = this.storeName) {
+    const dbName = FileClerk.DATABASE_PREFIX + name;
+    for (const storeName of FileClerk.TABLES.filter((table) => table !== "settings")) {
+      await this.adapter.table(dbName, storeName).clear();
+    }
+    if (name === this.storeName) {
+      this.storedBytes = null;
+    }
+
+    if (name === this.storeName && this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+  }
+
+  /**
+   * Deletes a store's database and removes it from the registry
+   * Dropping this clerk's own store leaves it with a fresh, empty store of the same name
+   * @param {string} [name] - The store to drop; defaults to this clerk's store
+   * @returns {Promise<void>}
+   */
+  async dropStore(name = this.storeName) {
+    await this.adapter.drop(FileClerk.DATABASE_PREFIX + name);
+    await this.registry.removeItem(name);
+
+    if (name === this.storeName) {
+      await this.openStore(name);
+      if (!this.locked) {
+        await this.prepareStore();
+      }
+      if (this.hasAttribute("verbose")) {
+        this.renderFileList();
+      }
+    }
+  }
+
+  /**
+   * Moves this clerk's store to another storage backend
+   * Copies every table to the target backend, registers the store there, empties the source
+   * and switches this clerk (and clerks in other tabs on the same store) to the new backend.
+   * The memory backend lives only as long as this page, so moving there requires keepSource,
+   * and clerks in other tabs stay on the source.
+   * The copy holds the blobs lock and the store lock exclusively, so writes from every clerk wait
+   * for it. Unless the target is "memory", writes still queued against the source then fail with
+   * STORE_CHANGED instead of landing in the old backend; with keepSource the old copy is a snapshot
+   * that no longer follows the store.
+   * @param {string} backend - "indexeddb", "memory" or "opfs"
+   * @param {Object} [options] - Migration options
+   * @param {boolean} [options.keepSource=false] - Leave the data in the old backend as a copy
+   * @returns {Promise<void>}
+   * @throws {Error} When the backend is unknown or unsupported, or is "memory" without keepSource
+   * @throws {Error} With code "STORE_CHANGED" when another clerk re-keyed or moved the store first
+   * @fires store-migrated - Custom event with the store name and the old and new backend
+   */
+  async migrateTo(backend, { keepSource = false } = {}) {
+    if (backend === this.backend) return;
+    if (backend === "memory" && !keepSource) {
+      throw new Error(`Moving store "${this.storeName}" to the memory backend would lose it on reload; pass keepSource: true to copy it there`);
+    }
+
+    const target = createStorageAdapter(backend);
+    const dbName = FileClerk.DATABASE_PREFIX + this.storeName;
+    const from = this.backend;
+
+    await this.withLock("blobs", () => this.withLock("store", async () => {
+      if ((await this.tables.settings.getItem("epoch")) !== this.epoch) {
+        throw this.staleStoreError();
+      }
+      for (const storeName of FileClerk.TABLES) {
+        const source = this.tables[storeName];
+        const destination = target.table(dbName, storeName);
+        await destination.clear();
+        for (const key of await source.keys()) {
+          await destination.setItem(key, await source.getItem(key));
+        }
+      }
+      const entry = await this.registry.getItem(this.storeName);
+      await target.table("file-clerk", "stores").setItem(this.storeName, entry || {
+        name: this.storeName,
+        createdAt: new Date().toISOString(),
+      });
+
+      if (!keepSource) {
+        for (const storeName of FileClerk.TABLES) {
+          await this.tables[storeName].clear();
+        }
+        await this.registry.removeItem(this.storeName);
+      }
+      // Clerks on the source follow the store, so their queued writes must not land there
+      if (backend !== "memory") {
+        await this.tables.settings.setItem("epoch", this.crypto.randomUUID());
+      }
+    }));
+
+    // Announce on the old backend's channel before switching, keeping the key of an unlocked store.
+    // A memory copy is private to this page, so other tabs stay on the source.
+    if (backend !== "memory") {
+      this.broadcast("migrated", backend);
+    }
+    const { cryptoKey, hashKey, locked } = this;
+    this.backend = backend;
+    this.adapter = target;
+    await this.openStore(this.storeName);
+    this.cryptoKey = cryptoKey;
+    this.hashKey = hashKey;
+    this.locked = locked;
+
+    this.event("store-migrated", { store: this.storeName, from, to: backend });
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+  }
+
+  /**
+   * Brings a store's records up to the current schema, repairs the index and purges expired trash
+   * Requires the store to be unlocked when it is encrypted
+   * @returns {Promise<void>}
+   */
+  async prepareStore() {
+    await this.migrate();
+    // Migrations only reshape data; index drift from an interrupted write is repaired every time
+    await this.reconcileIndex();
+    await this.purgeExpiredTrash();
+    await this.purgeOrphanedChunks();
+  }
+
+  /**
+   * Runs the pending schema migrations of this store, in version order
+   * The store's schema version is saved after each migration, so an interrupted run resumes
+   * where it stopped, and tabs sharing the store take turns so each migration runs once.
+   * Malformed records are skipped and reported rather than migrated.
+   * With dryRun nothing is written: the report lists the pending migrations and every
+   * malformed record currently in the store.
+   * @param {Object} [options] - Migration options
+   * @param {boolean} [options.dryRun=false] - Only validate the store
+   * @returns {Promise<Object>} Report with store, fromVersion, toVersion, pending
+   *   ({version, name} of each migration to run), malformed ({table, id, problem}) and dryRun
+   * @throws {Error} When the store was written by a newer File Clerk, or is locked
+   * @fires migration-progress - Custom event with store, version, name, done and total
+   * @fires migration-complete - Custom event with the report, when migrations were applied
+   */
+  async migrate({ dryRun = false } = {}) {
+    this.requireKey();
+    if (dryRun) {
+      return await this.runMigrations(true);
+    }
+    const report = await this.withLock("schema", () => this.runMigrations(false));
+    if (report.pending.length > 0) {
+      this.event("migration-complete", report);
+    }
+    return report;
+  }
+
+  /**
+   * Validates the store and, unless dryRun is set, applies its pending migrations
+   * @param {boolean} dryRun - Only validate the store
+   * @returns {Promise<Object>} The report described in migrate()
+   */
+  async runMigrations(dryRun) {
+    const fromVersion = await this.getSchemaVersion();
+    if (fromVersion > FileClerk.SCHEMA_VERSION) {
+      throw new Error(`File Clerk store "${this.storeName}" uses schema version ${fromVersion}; this File Clerk supports up to ${FileClerk.SCHEMA_VERSION}`);
+    }
+
+    const pending = FileClerk.MIGRATIONS.filter((migration) => migration.version > fromVersion);
+    const report = {
+      store: this.storeName,
+      fromVersion,
+      toVersion: fromVersion,
+      pending: pending.map(({ version, name }) => ({ version, name })),
+      malformed: [],
+      dryRun,
+    };
+
+    if (dryRun) {
+      report.malformed = await this.findMalformedRecords();
+      return report;
+    }
+
+    for (const migration of pending) {
+      const progress = this.migrationProgress(migration);
+      await migration.run(this, { progress, malformed: report.malformed });
+      await this.settings.setItem("schema", { version: migration.version, migratedAt: new Date().toISOString() });
+      report.toVersion = migration.version;
+      this.log(`Store "${this.storeName}" migrated to schema version ${migration.version} (${migration.name})`);
+    }
+
+    // A record skipped by several migrations is reported once
+    const seen = new Set();
+    report.malformed = report.malformed.filter(({ table, id }) => {
+      const key = `${table}/${id}`;
+      return seen.has(key) ? false : seen.add(key);
+    });
+    return report;
+  }
+
+  /**
+   * Returns the schema version recorded for this store
+   * @returns {Promise<number>} The version, 0 for stores created before schemas were versioned
+   */
+  async getSchemaVersion() {
+    const schema = await this.settings.getItem("schema");
+    return schema ? schema.version : 0;
+  }
+
+  /**
+   * Creates the progress callback handed to a migration
+   * Events are throttled to about one per percent of the records
+   * @param {Object} migration - The migration being run
+   * @returns {Function} Callback taking (done, total)
+   */
+  migrationProgress(migration) {
+    let reported = 0;
+    return (done, total) => {
+      if (done < total && done - reported < Math.max(1, Math.floor(total / 100))) return;
+      reported = done;
+      this.event("migration-progress", {
+        store: this.storeName,
+        version: migration.version,
+        name: migration.name,
+        done,
+        total,
+      });
+    };
+  }
+
+  /**
+   * Checks that a stored record or revision snapshot can be read
+   * @param {*} value - The stored value
+   * @returns {string|null} What is wrong with the record, or null when it is valid
+   */
+  validateRecord(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return "not a file record";
+    }
+    if (typeof value.filename !== "string" || value.filename === "") {
+      return "missing filename";
+    }
+    if ("contents" in value) {
+      const { contents } = value;
+      const readable = contents instanceof Blob || (typeof contents === "string" && contents.startsWith("data:"));
+      return readable ? null : "contents is not a Blob or Data URL";
+    }
+    if (typeof value.hash !== "string") {
+      return "missing contents";
+    }
+    return null;
+  }
+
+  /**
+   * Lists the records and revision snapshots that cannot be read, without changing anything
+   * @returns {Promise<Array<Object>>} Entries with table, id and problem
+   */
+  async findMalformedRecords() {
+    const blobKeys = new Set(await this.blobs.keys());
+    const malformed = [];
+    for (const [table, store] of [["records", this.records], ["revisions", this.revisions]]) {
+      for (const id of await store.keys()) {
+        const value = await store.getItem(id);
+        // Revision histories are arrays stored next to the snapshots
+        if (table === "revisions" && Array.isArray(value)) continue;
+
+        let problem = this.validateRecord(value);
+        if (!problem && !("contents" in value) && !blobKeys.has(await this.blobId(value.hash))) {
+          problem = "contents missing from the blob store";
+        }
+        if (problem) {
+          malformed.push({ table, id, problem });
+        }
+      }
+    }
+    return malformed;
+  }
+
+  /**
+   * Returns the key used to encrypt records, or null for an unencrypted store
+   * @returns {CryptoKey|null} The current key
+   * @throws {Error} When the store is locked
+   */
+  requireKey() {
+    if (this.locked) {
+      const error = new Error(`File Clerk store "${this.storeName}" is locked; call unlock(passphrase) first`);
+      error.code = "STORE_LOCKED";
+      throw error;
+    }
+    return this.cryptoKey;
+  }
+
+  /**
+   * Unlocks an encrypted store, or turns on encryption for a store that has none yet
+   * Enabling encryption encrypts every file, revision and index entry already stored. A passphrase
+   * change or enabling that was interrupted is finished first; until then either the old or the
+   * new passphrase unlocks the store.
+   * @param {string} passphrase - The store passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} When the passphrase is incorrect
+   * @fires unlocked - Custom event with the store name
+   */
+  async unlock(passphrase) {
+    // Another clerk may have changed the settings since this one opened the store
+    this.encryption = await this.settings.getItem("encryption");
+    this.epoch = await this.settings.getItem("epoch");
+
+    if (this.encryption && this.encryption.rekey) {
+      const pending = this.encryption;
+      const { oldKey, key, encryption } = await this.resumeKeys(passphrase, pending);
+      await this.rekeyStore(oldKey, key, encryption, pending, pending);
+      this.locked = false;
+      await this.prepareStore();
+      if (pending.rekey.plaintext) {
+        await this.rebuildLookup();
+        await this.rebuildSearchIndex();
+      }
+    } else if (this.encryption) {
+      this.cryptoKey = await this.unlockKey(passphrase, this.encryption);
+      this.hashKey = await this.openHashKey(this.encryption, this.cryptoKey);
+      this.locked = false;
+      await this.prepareStore();
+    } else {
+      // Bring plaintext records up to date before sealing them
+      this.locked = false;
+      await this.prepareStore();
+      const { encryption, key } = await this.createEncryption(passphrase);
+      encryption.sealedHashKey = toBase64(await encryptBytes(randomBytes(32), key));
+      await this.rekeyStore(null, key, encryption, { ...encryption, rekey: { plaintext: true } }, null);
+      await this.rebuildLookup();
+      await this.rebuildSearchIndex();
+    }
+
+    this.event("unlocked", { store: this.storeName });
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+  }
+
+  /**
+   * Locks an encrypted store, discarding the key from memory
+   * Does nothing for stores without encryption
+   * @returns {void}
+   * @fires locked - Custom event with the store name
+   */
+  lock() {
+    if (!this.encryption) return;
+
+    this.cryptoKey = null;
+    this.previousKey = null;
+    this.hashKey = null;
+    this.locked = true;
+    this.event("locked", { store: this.storeName });
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+  }
+
+  /**
+   * Changes the passphrase of an encrypted store, re-encrypting every record under a new key
+   * The change survives an interruption: unlock() finishes it with either passphrase. A locked
+   * store stays locked.
+   * @param {string} oldPassphrase - The current passphrase
+   * @param {string} newPassphrase - The new passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} When the store is not encrypted or the current passphrase is incorrect
+   * @fires passphrase-changed - Custom event with the store name
+   */
+  async changePassphrase(oldPassphrase, newPassphrase) {
+    if (!this.encryption) {
+      throw new Error(`File Clerk store "${this.storeName}" is not encrypted`);
+    }
+
+    const current = this.encryption;
+    const extractableKey = await this.unlockKey(oldPassphrase, current, true);
+    const created = await this.createEncryption(newPassphrase, true);
+    const { encryption } = created;
+    // The keyed-hash secret outlives passphrases, so blob store keys stay put
+    const secret = await decryptBytes(fromBase64(current.sealedHashKey), extractableKey);
+    encryption.sealedHashKey = toBase64(await encryptBytes(new Uint8Array(secret), created.key));
+    // Each key is kept wrapped under the other until the run finishes, so either passphrase resumes it
+    const wrappedKey = await wrapKey(created.key, extractableKey);
+    const wrappedPreviousKey = await wrapKey(extractableKey, created.key);
+    const pending = {
+      ...current,
+      rekey: { ...encryption, wrappedKey: toBase64(wrappedKey), wrappedPreviousKey: toBase64(wrappedPreviousKey) },
+    };
+    // Work with non-extractable copies of both keys from here on
+    const oldKey = await unwrapKey(wrappedPreviousKey, created.key);
+    const key = await unwrapKey(wrappedKey, oldKey);
+
+    const locked = this.locked;
+    await this.rekeyStore(oldKey, key, encryption, pending, current);
+    if (locked) {
+      this.cryptoKey = null;
+      this.hashKey = null;
+    }
+
+    this.event("passphrase-changed", { store: this.storeName });
+  }
+
+  /**
+   * Derives the key for a set of encryption settings and checks it against their verifier
+   * @param {string} passphrase - The passphrase to try
+   * @param {Object} encryption - Encryption settings with salt, iterations and verifier
+   * @param {boolean} [extractable=false] - Derive a key that can be wrapped
+   * @returns {Promise<CryptoKey>} The derived key
+   * @throws {Error} When the passphrase is incorrect
+   */
+  async unlockKey(passphrase, encryption, extractable = false) {
+    const key = await deriveKey(passphrase, fromBase64(encryption.salt), encryption.iterations, extractable);
+    try {
+      await decryptJson(fromBase64(encryption.verifier), key);
+    } catch (error) {
+      throw new Error("Incorrect passphrase");
+    }
+    return key;
+  }
+
+  /**
+   * Creates encryption settings (salt, iteration count and verifier) for a new passphrase
+   * @param {string} passphrase - The passphrase
+   * @param {boolean} [extractable=false] - Derive a key that can be wrapped
+   * @returns {Promise<Object>} { encryption, key } with the settings to persist and the derived key
+   */
+  async createEncryption(passphrase, extractable = false) {
+    const salt = randomBytes(16);
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS, extractable);
+    const encryption = {
+      algorithm: "AES-GCM",
+      kdf: "PBKDF2",
+      hash: "SHA-256",
+      iterations: PBKDF2_ITERATIONS,
+      salt: toBase64(salt),
+      verifier: toBase64(await encryptJson("file-clerk", key)),
+    };
+    return { encryption, key };
+  }
+
+  /**
+   * Opens both keys of an interrupted re-keying run with either of its passphrases
+   * @param {string} passphrase - The old or the new passphrase
+   * @param {Object} pending - The stored encryption settings, with their rekey field
+   * @returns {Promise<Object>} { oldKey, key, encryption } with the key the run started from
+   *   (null when it was sealing a plaintext store), the new key and the settings to finish with
+   * @throws {Error} When the passphrase matches neither
+   */
+  async resumeKeys(passphrase, pending) {
+    const { rekey, ...current } = pending;
+    if (rekey.plaintext) {
+      return { oldKey: null, key: await this.unlockKey(passphrase, current), encryption: current };
+    }
+
+    const { wrappedKey, wrappedPreviousKey, ...encryption } = rekey;
+    let oldKey = null;
+    try {
+      oldKey = await this.unlockKey(passphrase, current);
+    } catch (error) {
+      const key = await this.unlockKey(passphrase, encryption);
+      return { oldKey: await unwrapKey(fromBase64(wrappedPreviousKey), key), key, encryption };
+    }
+    return { oldKey, key: await unwrapKey(fromBase64(wrappedKey), oldKey), encryption };
+  }
+
+  /**
+   * Re-encrypts the whole store under a new key so that no write is lost or left unreadable
+   * The pending settings are saved before anything is re-keyed and the final ones only after
+   * everything is, so unlock() can finish an interrupted run. The blobs lock and the store lock
+   * are held exclusively throughout: writes from this clerk wait and then use the new key, while
+   * other clerks are locked and their waiting writes fail with STORE_CHANGED. Reads in this clerk
+   * fall back to the old key for records not re-keyed yet.
+   * @param {CryptoKey|null} oldKey - The key the store is encrypted with, or null for plaintext
+   * @param {CryptoKey} key - The new key
+   * @param {Object} encryption - The settings to save when done
+   * @param {Object} pending - The settings to save while re-keying, with a rekey field
+   * @param {Object|null} from - The settings the run starts from; it fails if another clerk changed them
+   * @returns {Promise<void>}
+   * @throws {Error} With code "STORE_CHANGED" when another clerk changed the settings first
+   */
+  async rekeyStore(oldKey, key, encryption, pending, from) {
+    const hashKey = await this.openHashKey(encryption, key);
+    await this.withLock("blobs", () => this.withLock("store", async () => {
+      const stored = await this.settings.getItem("encryption");
+      const finished = stored && !stored.rekey && stored.verifier === encryption.verifier;
+      if (!finished) {
+        if (JSON.stringify(stored) !== JSON.stringify(from)) {
+          throw this.staleStoreError();
+        }
+        await this.settings.setItem("encryption", pending);
+        await this.settings.setItem("epoch", this.crypto.randomUUID());
+        this.cryptoKey = key;
+        this.previousKey = oldKey;
+        this.hashKey = hashKey;
+        // Other clerks on this store must stop using their key, or writing plaintext
+        this.broadcast("passphrase-changed");
+        await this.rekey(oldKey, key, hashKey);
+        await this.settings.setItem("encryption", encryption);
+      }
+      this.encryption = encryption;
+      this.epoch = await this.settings.getItem("epoch");
+      this.cryptoKey = key;
+      this.previousKey = null;
+      this.hashKey = hashKey;
+    }));
+  }
+
+  /**
+   * Re-encrypts every record, index entry, revision and stored Blob from one key to another
+   * A null old key reads plaintext; a null new key writes plaintext. Values an interrupted run
+   * already re-encrypted are left as they are. Writes to the tables directly, so the caller must
+   * hold the store lock.
+   * @param {CryptoKey|null} oldKey - The key the data is currently encrypted with
+   * @param {CryptoKey|null} newKey - The key to encrypt with
+   * @param {CryptoKey|null} [hashKey] - The keyed-hash key of the encrypted store; see rekeyBlobs()
+   * @returns {Promise<void>}
+   */
+  async rekey(oldKey, newKey, hashKey = null) {
+    for (const name of ["records", "index", "revisions", "trash", "folders", "lookup", "search"]) {
+      const table = this.tables[name];
+      for (const id of await table.keys()) {
+        const value = await table.getItem(id);
+        const opened = value && value.sealed
+          ? await this.reopen((key) => decryptJson(value.sealed, key), oldKey, newKey)
+          : [value];
+        if (opened) {
+          await table.setItem(id, newKey ? { sealed: await encryptJson(opened[0], newKey) } : opened[0]);
+        }
+      }
+    }
+    await this.rekeyBlobs(oldKey, newKey, hashKey);
+  }
+
+  /**
+   * Re-encrypts every stored Blob and chunk from one key to another
+   * Entries still kept under the plain SHA-256 of their contents (those of a store being
+   * encrypted) move to their keyed id with their fields sealed; each is written before the
+   * old one is removed, and after its chunks, so an interrupted run can be repeated and only
+   * leaves orphaned chunks behind
+   * @param {CryptoKey|null} oldKey - The key the contents are currently encrypted with
+   * @param {CryptoKey|null} newKey - The key to encrypt with
+   * @param {CryptoKey|null} hashKey - The keyed-hash key for the new ids, or null to keep ids
+   * @returns {Promise<void>}
+   */
+  async rekeyBlobs(oldKey, newKey, hashKey) {
+    const { blobs, chunks } = this.tables;
+    for (const blobId of await blobs.keys()) {
+      const raw = await blobs.getItem(blobId);
+      if (!raw) continue;
+      let entry = raw;
+      if (raw.sealed) {
+        const { sealed, ...stored } = raw;
+        const opened = await this.reopen((key) => decryptJson(sealed, key), oldKey, newKey);
+        // Already re-keyed, chunks and all
+        if (!opened) continue;
+        entry = { ...stored, ...opened[0] };
+      }
+      const reseal = async (blob) => {
+        const opened = entry.encrypted ? await this.reopen((key) => decryptBlob(blob, key), oldKey, newKey) : [blob];
+        if (!opened) return blob;
+        return newKey ? await encryptBlob(opened[0], newKey) : opened[0];
+      };
+
+      const newId = !raw.sealed && hashKey ? await hmacHex(hashKey, blobId) : blobId;
+      if (entry.chunks) {
+        for (let index = 0; index < entry.chunks; index++) {
+          const chunk = await chunks.getItem(this.chunkKey(blobId, index));
+          await chunks.setItem(this.chunkKey(newId, index), await reseal(chunk));
+        }
+      } else {
+        entry.contents = await reseal(entry.contents);
+      }
+      entry.encrypted = Boolean(newKey);
+      await blobs.setItem(newId, await this.sealEntry(entry, newKey));
+      if (newId !== blobId) {
+        await blobs.removeItem(blobId);
+        for (let index = 0; index < (entry.chunks || 0); index++) {
+          await chunks.removeItem(this.chunkKey(blobId, index));
+        }
+      }
+    }
+  }
+
+  /**
+   * Opens a value being re-keyed with the old key, or recognizes one already re-keyed
+   * @param {Function} open - Decrypts the value with the key it is given
+   * @param {CryptoKey|null} oldKey - The key the run started from
+   * @param {CryptoKey|null} newKey - The key the run encrypts with
+   * @returns {Promise<Array|null>} [plaintext], or null when the value opens with the new key
+   * @throws {Error} When the value opens with neither key
+   */
+  async reopen(open, oldKey, newKey) {
+    try {
+      return [await open(oldKey)];
+    } catch (error) {
+      if (!newKey) throw error;
+      await open(newKey);
+      return null;
+    }
+  }
+
+  /**
+   * Decrypts with the store key, falling back to the previous key while the store is re-keyed
+   * @param {Function} open - Decrypts with the key it is given
+   * @param {CryptoKey} key - The store key
+   * @returns {Promise<*>} The result of open()
+   */
+  async openSealed(open, key) {
+    try {
+      return await open(key);
+    } catch (error) {
+      if (!this.previousKey || key === this.previousKey) throw error;
+      return await open(this.previousKey);
+    }
+  }
+
+  /**
+   * Opens the keyed-hash key sealed in a store's encryption settings
+   * @param {Object} encryption - The store's encryption settings
+   * @param {CryptoKey} key - The store key
+   * @returns {Promise<CryptoKey>} The HMAC key
+   */
+  async openHashKey(encryption, key) {
+    const secret = await decryptBytes(fromBase64(encryption.sealedHashKey), key);
+    return await importHmacKey(new Uint8Array(secret));
+  }
+
+  /**
+   * Moves file records written by earlier versions into the default localforage database
+   * over to the default named store, leaving unrelated keys from other libraries untouched
+   * @param {Object} [context] - Migration context
+   * @param {Function} [context.progress] - Called with (done, total) as keys are read
+   * @returns {Promise<void>}
+   */
+  async migrateLegacyStore({ progress = () => {} } = {}) {
+    const keys = await localforage.keys();
+    for (const [i, key] of keys.entries()) {
+      progress(i + 1, keys.length);
+      const fileData = await localforage.getItem(key);
+      if (fileData && typeof fileData === "object" && "filename" in fileData && "contents" in fileData) {
+        await this.records.setItem(key, fileData);
+        await localforage.removeItem(key);
+        this.log(`Moved ${key} into store "${this.storeName}"`);
+      }
+    }
+  }
+
+  /**
+   * Converts supported content types into a Blob for storage
+   * @param {Blob|File|ArrayBuffer|ArrayBufferView|string} contents - The contents to convert
+   * @param {string} [type] - MIME type to apply to raw binary contents
+   * @returns {Promise<Blob>} The contents as a Blob
+   * @throws {TypeError} When the contents are of an unsupported type
+   */
+  async toBlob(contents, type = "") {
+    if (contents instanceof Blob) {
+      return contents;
+    }
+    if (contents instanceof ArrayBuffer || ArrayBuffer.isView(contents)) {
+      return new Blob([contents], { type });
+    }
+    if (typeof contents === "string" && contents.startsWith("data:")) {
+      const res = await fetch(contents);
+      return await res.blob();
+    }
+    if (typeof contents === "string") {
+      return new Blob([contents], { type: type || "text/plain" });
+    }
+    throw new TypeError("Unsupported file contents: expected Blob, ArrayBuffer or Data URL");
+  }
+
+  /**
+   * Computes the SHA-256 hash of a Blob
+   * Uses digestBlob() so record hashes always match the sha256 FileArchive writes to manifests
+   * @param {Blob} blob - The Blob to hash
+   * @returns {Promise<string>} Lowercase hex digest
+   */
+  async hashBlob(blob) {
+    if (!this.blobHashes.has(blob)) {
+      this.blobHashes.set(blob, await digestBlob(blob));
+    }
+    return this.blobHashes.get(blob);
+  }
+
+  /**
+   * Runs a task while holding a lock scoped to this store
+   * Uses the Web Locks API so tabs sharing the store take turns; without it, tasks are
+   * only queued within this clerk. Shared holders of a lock run side by side but never
+   * alongside an exclusive holder. Locks are not reentrant: never request the same name
+   * from inside a task holding it.
+   * @param {string} name - Lock name within the store (e.g. "blobs", "store" or "record:<id>")
+   * @param {Function} task - Async function to run
+   * @param {Object} [options] - Lock options
+   * @param {string} [options.mode="exclusive"] - "exclusive" or "shared"
+   * @returns {Promise<*>} The task's result
+   */
+  withLock(name, task, { mode = "exclusive" } = {}) {
+    if (navigator.locks) {
+      return navigator.locks.request(`${FileClerk.DATABASE_PREFIX}${this.storeName}:${name}`, { mode }, task);
+    }
+    // The last exclusive task, and the shared tasks queued after it
+    const queue = this.lockQueues.get(name) || { exclusive: Promise.resolve(), shared: Promise.resolve() };
+    let run;
+    if (mode === "shared") {
+      run = queue.exclusive.then(task, task);
+      queue.shared = Promise.all([queue.shared, run.catch(() => {})]);
+    } else {
+      run = Promise.all([queue.exclusive, queue.shared]).then(task, task);
+      queue.exclusive = run.catch(() => {});
+      queue.shared = Promise.resolve();
+    }
+    this.lockQueues.set(name, queue);
+    return run;
+  }
+
+  /**
+   * Announces a change to other clerks using the same store, in this and other tabs
+   * @param {string} type - "saved", "updated", "moved", "deleted", "restored", "batch", "trash-emptied",
+   *   "evicted", "folder-created", "folder-renamed", "folder-deleted", "migrated" or "passphrase-changed"
+   * @param {string} [id] - The unique ID of the changed file, the folder path for folder changes,
+   *   or the new backend for "migrated"
+   * @returns {void}
+   */
+  broadcast(type, id) {
+    if (this.channel) {
+      this.channel.postMessage({ type, id, store: this.storeName, backend: this.backend });
+    }
+  }
+
+  /**
+   * Handles a change announced by another clerk using the same store
+   * Re-renders the verbose list; a passphrase change elsewhere locks this clerk, as its key is stale,
+   * and a migration elsewhere moves this clerk to the new backend. Messages about the same store
+   * name in another backend are ignored.
+   * @param {Object} message - The broadcast message with type, id, store and backend
+   * @returns {Promise<void>}
+   * @fires file-changed - Custom event with type, id, store and remote: true
+   */
+  async handleBroadcast(message) {
+    if (!message || message.store !== this.storeName || message.backend !== this.backend) return;
+
+    // The other tab may have added or released blobs
+    this.storedBytes = null;
+
+    if (message.type === "migrated") {
+      // A memory store elsewhere is private to that page and would be empty here
+      if (message.id === "memory") return;
+      // Follow the store to its new backend; an encrypted store must be unlocked again there
+      this.backend = message.id;
+      this.adapter = createStorageAdapter(this.backend);
+      await this.openStore(this.storeName);
+      if (this.encryption) {
+        this.lock();
+      }
+    } else if (message.type === "passphrase-changed") {
+      this.encryption = await this.settings.getItem("encryption");
+      this.lock();
+      return;
+    }
+
+    this.event("file-changed", { ...message, remote: true });
+
+    if (this.hasAttribute("verbose")) {
+      this.renderFileList();
+    }
+  }
+
+  /**
+   * Stores a Blob in the content-addressed blob store, or adds a reference if identical bytes exist
+   * Blobs larger than the chunk size are written as separate chunk records
+   * @param {Blob} blob - The contents to store
+   * @returns {Promise<Object>} { hash, size, mimeType } to keep on the file record
+   */
+  async storeBlob(blob) {
+    this.requireKey();
+    const hash = await this.hashBlob(blob);
+    await this.withLock("blobs", async () => {
+      // Taken under the lock, which a passphrase change holds while it swaps the key
+      const key = this.requireKey();
+      const blobId = await this.blobId(hash);
+      const entry = await this.readEntry(blobId, key);
+      if (entry) {
+        entry.refs += 1;
+        await this.writeEntry(blobId, entry, key);
+      } else {
+        await this.writeEntry(blobId, await this.writeContents(blobId, blob, key), key);
+        if (this.storedBytes !== null) this.storedBytes += blob.size;
+      }
+    });
+    return { hash, size: blob.size, mimeType: blob.type };
+  }
+
+  /**
+   * Adds a reference to content already in the blob store
+   * @param {string} hash - The content hash
+   * @returns {Promise<void>}
+   */
+  async retainBlob(hash) {
+    this.requireKey();
+    await this.withLock("blobs", async () => {
+      const key = this.requireKey();
+      const blobId = await this.blobId(hash);
+      const entry = await this.readEntry(blobId, key);
+      if (entry) {
+        entry.refs += 1;
+        await this.writeEntry(blobId, entry, key);
+      }
+    });
+  }
+
+  /**
+   * Drops a reference to stored content, deleting the content when no references remain
+   * @param {string} hash - The content hash
+   * @returns {Promise<void>}
+   */
+  async releaseBlob(hash) {
+    if (!hash) return;
+    this.requireKey();
+    await this.withLock("blobs", async () => {
+      const key = this.requireKey();
+      const blobId = await this.blobId(hash);
+      const entry = await this.readEntry(blobId, key);
+      if (!entry) return;
+      entry.refs -= 1;
+      if (entry.refs > 0) {
+        await this.writeEntry(blobId, entry, key);
+      } else {
+        await this.blobs.removeItem(blobId);
+        for (let index = 0; index < (entry.chunks || 0); index++) {
+          await this.chunks.removeItem(this.chunkKey(blobId, index));
+        }
+        if (this.storedBytes !== null) this.storedBytes -= entry.size || 0;
+      }
+    });
+  }
+
+  /**
+   * Returns the blob store id of content with a given hash
+   * Encrypted stores key entries by an HMAC of the hash under a secret sealed with the store
+   * key, so the plain SHA-256 of a known file cannot be looked up on disk
+   * @param {string} hash - The SHA-256 of the contents, as kept on the file record
+   * @returns {Promise<string>} The id of the blob store entry
+   */
+  async blobId(hash) {
+    return this.hashKey ? await hmacHex(this.hashKey, hash) : hash;
+  }
+
+  /**
+   * Reads a blob store entry, opening the sealed fields of an encrypted store's entries
+   * @param {string} blobId - The entry id from blobId()
+   * @param {CryptoKey|null} [key] - The store key; defaults to the current one
+   * @returns {Promise<Object|null>} { size, refs, encrypted, contents } or { size, refs, encrypted,
+   *   chunks, chunkSize }, or null if not stored
+   */
+  async readEntry(blobId, key = this.requireKey()) {
+    const raw = await this.blobs.getItem(blobId);
+    if (!raw || !raw.sealed) return raw;
+    const { sealed, ...stored } = raw;
+    return { ...stored, ...(await this.openSealed((sealedKey) => decryptJson(sealed, sealedKey), key)) };
+  }
+
+  /**
+   * Writes a blob store entry; with a key, everything but the encrypted contents is sealed
+   * @param {string} blobId - The entry id from blobId()
+   * @param {Object} entry - The entry, as returned by readEntry()
+   * @param {CryptoKey|null} key - The store key, or null when unencrypted
+   * @returns {Promise<void>}
+   */
+  async writeEntry(blobId, entry, key) {
+    await this.blobs.setItem(blobId, await this.sealEntry(entry, key));
+  }
+
+  /**
+   * Builds the stored form of a blob store entry
+   * @param {Object} entry - The entry, as returned by readEntry()
+   * @param {CryptoKey|null} key - The store key, or null when unencrypted
+   * @returns {Promise<Object>} The entry as is, or with everything but the encrypted contents sealed
+   */
+  async sealEntry(entry, key) {
+    if (!key) return entry;
+    const { contents, encrypted, ...fields } = entry;
+    const sealed = { encrypted, sealed: await encryptJson(fields, key) };
+    return contents ? { ...sealed, contents } : sealed;
+  }
+
+  /**
+   * Reads content from the blob store, typed with the MIME type of the file that references it
+   * Identical bytes saved under different MIME types share one stored Blob
+   * @param {string} hash - The content hash
+   * @param {string} [mimeType] - MIME type to apply
+   * @returns {Promise<Blob|null>} The contents, or null if not stored
+   */
+  async readBlob(hash, mimeType = "") {
+    const key = this.requireKey();
+    const blobId = hash ? await this.blobId(hash) : null;
+    const entry = blobId ? await this.readEntry(blobId, key) : null;
+    if (!entry) return null;
+    if (entry.chunks) {
+      const parts = [];
+      for (let index = 0; index < entry.chunks; index++) {
+        parts.push({ index, data: await this.readChunk(blobId, index, entry) });
+      }
+      return joinBlobs(parts, mimeType);
+    }
+    if (entry.encrypted) {
+      return await this.openSealed((sealedKey) => decryptBlob(entry.contents, sealedKey, mimeType), key);
+    }
+    const blob = entry.contents;
+    return blob.type === mimeType ? blob : blob.slice(0, blob.size, mimeType);
+  }
+
+  /**
+   * Builds a blob store entry for new contents, writing its chunks first when it is large
+   * Chunks are written before the entry, so an interrupted write leaves only orphaned
+   * chunks, which purgeOrphanedChunks() removes
+   * @param {string} blobId - The entry id from blobId()
+   * @param {Blob} blob - The plaintext contents
+   * @param {CryptoKey|null} key - The store key, or null when unencrypted
+   * @returns {Promise<Object>} The entry to save with writeEntry()
+   */
+  async writeContents(blobId, blob, key) {
+    const entry = { size: blob.size, refs: 1, encrypted: Boolean(key) };
+    if (!this.chunkSize || blob.size <= this.chunkSize) {
+      return { contents: key ? await encryptBlob(blob, key) : blob, ...entry };
+    }
+
+    const chunks = splitBlob(blob, this.chunkSize);
+    for (const { index, data } of chunks) {
+      await this.chunks.setItem(this.chunkKey(blobId, index), key ? await encryptBlob(data, key) : data);
+    }
+    return { chunks: chunks.length, chunkSize: this.chunkSize, ...entry };
+  }
+
+  /**
+   * Reads one chunk of chunked contents
+   * @param {string} blobId - The entry id from blobId()
+   * @param {number} index - The chunk index
+   * @param {Object} entry - The blob store entry
+   * @returns {Promise<Blob>} The plaintext chunk
+   * @throws {Error} When the chunk is missing
+   */
+  async readChunk(blobId, index, entry) {
+    const key = this.requireKey();
+    const chunk = await this.chunks.getItem(this.chunkKey(blobId, index));
+    if (!chunk) {
+      throw new Error(`Chunk ${index} of ${blobId} is missing from the store`);
+    }
+    return entry.encrypted ? await this.openSealed((sealedKey) => decryptBlob(chunk, sealedKey), key) : chunk;
+  }
+
+  /**
+   * Streams chunked contents one chunk at a time
+   * @param {string} blobId - The entry id from blobId()
+   * @param {Object} entry - The blob store entry
+   * @returns {ReadableStream} A stream of the contents' bytes
+   */
+  streamChunks(blobId, entry) {
+    let index = 0;
+    return new ReadableStream({
+      pull: async (controller) => {
+        if (index >= entry.chunks) {
+          controller.close();
+          return;
+        }
+        const chunk = await this.readChunk(blobId, index++, entry);
+        controller.enqueue(new Uint8Array(await chunk.arrayBuffer()));
+      },
+    });
+  }
+
+  /**
+   * Returns the key of a chunk record
+   * @param {string} blobId - The entry id from blobId()
+   * @param {number} index - The chunk index
+   * @returns {string} "<blobId>:<index>"
+   */
+  chunkKey(blobId, index) {
+    return `${blobId}:${index}`;
+  }
+
+  /**
+   * Deletes chunk records that no blob store entry refers to, such as those left by a
+   * write interrupted before its entry was saved
+   * @returns {Promise<number>} The number of chunks removed
+   */
+  async purgeOrphanedChunks() {
+    return await this.withLock("blobs", async () => {
+      const entries = new Map();
+      let removed = 0;
+      for (const key of await this.chunks.keys()) {
+        const separator = key.lastIndexOf(":");
+        const blobId = key.slice(0, separator);
+        const index = Number(key.slice(separator + 1));
+        if (!entries.has(blobId)) {
+          entries.set(blobId, await this.readEntry(blobId));
+        }
+        const entry = entries.get(blobId);
+        if (!entry || !entry.chunks || !(index < entry.chunks)) {
+          await this.chunks.removeItem(key);
+          removed += 1;
+        }
+      }
+      if (removed > 0) {
+        this.log(`Removed ${removed} orphaned chunks from store "${this.storeName}"`);
+      }
+      return removed;
+    });
+  }
+
+  /**
+   * Splits contents stored whole that are larger than the chunk size into chunk records
+   * Stores written before chunking existed kept every file as a single value
+   * @param {Object} [context] - Migration context
+   * @param {Function} [context.progress] - Called with (done, total) as blobs are read
    * @returns {Promise<void>}
    */
-  async initialize() {
-    this.crypto = window.crypto || window.msCrypto;
-    
-    if (this.hasAttribute("verbose")) {
-      this.create('h1', {
-        content: 'File Clerk'
-      });
-      
-      this.create('div', {
-        class: 'file-list'
+  async chunkLargeBlobs({ progress = () => {} } = {}) {
+    if (!this.chunkSize) return;
+    this.requireKey();
+    const blobIds = await this.blobs.keys();
+    for (const [i, blobId] of blobIds.entries()) {
+      progress(i + 1, blobIds.length);
+      await this.withLock("blobs", async () => {
+        const key = this.requireKey();
+        const entry = await this.readEntry(blobId, key);
+        if (!entry || entry.chunks || entry.size <= this.chunkSize) return;
+        const plain = entry.encrypted ? await decryptBlob(entry.contents, key) : entry.contents;
+        const chunked = await this.writeContents(blobId, plain, key);
+        await this.writeEntry(blobId, { ...chunked, refs: entry.refs }, key);
       });
-      
-      await this.renderFileList();
     }
   }
 
   /**
-   * Saves a file to browser storage with a generated unique ID
-   * @param {string} filename - The name of the file
-   * @param {string} contents - The file contents (typically a Data URL)
-   * @param {string} metadata - Additional metadata about the file
+   * Builds the metadata index descriptor for a stored file record
+   * @param {string} id - The unique ID of the file
+   * @param {Object} fileData - The stored file record
+   * @returns {Object} Descriptor with id, filename, originalFilename, folder, path, size, mimeType, hash, createdAt,
+   *   modifiedAt, accessedAt, deletedAt, revision, tags and metadata
+   */
+  describe(id, fileData) {
+    return {
+      id,
+      filename: fileData.filename,
+      originalFilename: fileData.originalFilename || fileData.filename,
+      folder: fileData.folder || "/",
+      path: this.joinPath(fileData.folder || "/", fileData.filename),
+      size: fileData.size || 0,
+      mimeType: fileData.mimeType || "",
+      hash: fileData.hash || null,
+      createdAt: fileData.createdAt || null,
+      modifiedAt: fileData.modifiedAt || fileData.createdAt || null,
+      accessedAt: fileData.accessedAt || null,
+      deletedAt: fileData.deletedAt || null,
+      revision: fileData.revision || 1,
+      tags: fileData.tags || [],
+      metadata: this.normalizeMetadata(fileData.metadata),
+    };
+  }
+
+  /**
+   * Writes a file's index descriptor and brings its lookup and search entries up to date
+   * @param {string} id - The unique ID of the file
+   * @param {Object} descriptor - The new index descriptor
    * @returns {Promise<void>}
    */
-  async saveFile(filename, contents, metadata) {
-    const id = this.crypto.randomUUID();
-    const fileData = { filename, contents, metadata };
-    await localforage.setItem(id, fileData);
-    
-    if (this.hasAttribute("verbose")) {
-      this.renderFileList();
+  async indexFile(id, descriptor) {
+    const previous = await this.index.getItem(id);
+    await this.index.setItem(id, descriptor);
+    await this.updateLookup(id, previous, descriptor);
+    await this.updateSearchIndex(id, descriptor);
+  }
+
+  /**
+   * Removes a file's index descriptor and its lookup and search entries
+   * @param {string} id - The unique ID of the file
+   * @returns {Promise<void>}
+   */
+  async unindexFile(id) {
+    const previous = await this.index.getItem(id);
+    await this.index.removeItem(id);
+    await this.updateLookup(id, previous, null);
+    await this.updateSearchIndex(id, null);
+  }
+
+  /**
+   * Adds and removes a file's ID in the lookup entries whose terms changed between two descriptors
+   * @param {string} id - The unique ID of the file
+   * @param {Object|null} previous - The descriptor before the change
+   * @param {Object|null} next - The descriptor after the change
+   * @returns {Promise<void>}
+   */
+  async updateLookup(id, previous, next) {
+    const before = new Set(previous ? this.lookupTerms(previous) : []);
+    const after = new Set(next ? this.lookupTerms(next) : []);
+    const changed = [...before, ...after].filter((term) => before.has(term) !== after.has(term));
+    if (changed.length === 0) return;
+
+    await this.withLock("lookup", async () => {
+      for (const term of changed) {
+        const key = await this.lookupKey(term);
+        const ids = new Set((await this.lookup.getItem(key)) || []);
+        if (after.has(term)) {
+          ids.add(id);
+        } else {
+          ids.delete(id);
+        }
+        if (ids.size > 0) {
+          await this.lookup.setItem(key, [...ids]);
+        } else {
+          await this.lookup.removeItem(key);
+        }
+      }
+    });
+  }
+
+  /**
+   * Rebuilds the lookup index from the metadata index
+   * Needed when lookup keys change (encryption turned on) and for stores created before the
+   * lookup index existed
+   * @param {Object} [context] - Migration context
+   * @param {Function} [context.progress] - Called with (done, total) as files are read
+   * @returns {Promise<void>}
+   */
+  async rebuildLookup({ progress = () => {} } = {}) {
+    const entries = new Map();
+    const total = (await this.index.keys()).length;
+    await this.index.iterate((descriptor, id, done) => {
+      for (const term of this.lookupTerms(descriptor)) {
+        entries.set(term, [...(entries.get(term) || []), id]);
+      }
+      progress(done, total);
+    });
+
+    await this.withLock("lookup", async () => {
+      await this.lookup.clear();
+      for (const [term, ids] of entries) {
+        await this.lookup.setItem(await this.lookupKey(term), ids);
+      }
+    });
+  }
+
+  /**
+   * Re-indexes a file for full-text search when its name, notes or contents changed
+   * @param {string} id - The unique ID of the file
+   * @param {Object|null} descriptor - The file's new descriptor, or null to drop it from the index
+   * @returns {Promise<void>}
+   */
+  async updateSearchIndex(id, descriptor) {
+    const docKey = `doc:${id}`;
+    const source = descriptor
+      ? { filename: descriptor.filename, notes: this.notesText(descriptor), hash: descriptor.hash }
+      : null;
+    const existing = await this.searchIndex.getItem(docKey);
+    if (source && existing && ["filename", "notes", "hash"].every((field) => existing[field] === source[field])) {
+      return;
     }
+
+    // Contents are read before taking the lock so other files can be indexed meanwhile
+    const terms = descriptor ? await this.searchTerms(descriptor) : {};
+
+    await this.withLock("search", async () => {
+      const previous = (await this.searchIndex.getItem(docKey)) || { terms: {} };
+      for (const token of new Set([...Object.keys(previous.terms), ...Object.keys(terms)])) {
+        if (previous.terms[token] === terms[token]) continue;
+        const key = await this.searchKey(token);
+        const postings = (await this.searchIndex.getItem(key)) || {};
+        if (terms[token]) {
+          postings[id] = terms[token];
+        } else {
+          delete postings[id];
+        }
+        if (Object.keys(postings).length > 0) {
+          await this.searchIndex.setItem(key, postings);
+        } else {
+          await this.searchIndex.removeItem(key);
+        }
+      }
+
+      if (source) {
+        await this.searchIndex.setItem(docKey, { ...source, terms });
+      } else {
+        await this.searchIndex.removeItem(docKey);
+      }
+    });
   }
 
   /**
-   * Deletes a file from browser storage by its ID
-   * @param {string} id - The unique ID of the file to delete
+   * Rebuilds the full-text index from the metadata index
+   * Needed when its keys change (encryption turned on) and for stores created before
+   * full-text search existed
+   * @param {Object} [context] - Migration context
+   * @param {Function} [context.progress] - Called with (done, total) as files are read
    * @returns {Promise<void>}
    */
-  async deleteFile(id) {
-    await localforage.removeItem(id);
-    
-    if (this.hasAttribute("verbose")) {
-      this.renderFileList();
+  async rebuildSearchIndex({ progress = () => {} } = {}) {
+    const files = await this.listFiles();
+    const docs = new Map();
+    const postings = new Map();
+    for (const [i, file] of files.entries()) {
+      const terms = await this.searchTerms(file);
+      docs.set(file.id, { filename: file.filename, notes: this.notesText(file), hash: file.hash, terms });
+      for (const [token, weight] of Object.entries(terms)) {
+        postings.set(token, { ...(postings.get(token) || {}), [file.id]: weight });
+      }
+      progress(i + 1, files.length);
     }
+
+    await this.withLock("search", async () => {
+      await this.searchIndex.clear();
+      for (const [id, doc] of docs) {
+        await this.searchIndex.setItem(`doc:${id}`, doc);
+      }
+      for (const [token, entry] of postings) {
+        await this.searchIndex.setItem(await this.searchKey(token), entry);
+      }
+    });
   }
 
   /**
-   * Lists all files stored in browser storage
-   * @returns {Promise<Array<Object>>} Array of file objects with id, filename, contents, and metadata
+   * Counts the weighted occurrences of each token in a file's name, notes and text contents
+   * @param {Object} descriptor - The index descriptor
+   * @returns {Promise<Object<string, number>>} Weighted term frequencies
    */
-  async listFiles() {
-    const keys = await localforage.keys();
-    const files = await Promise.all(
-      keys.map(async (key) => {
-        const fileData = await localforage.getItem(key);
-        return {
-          id: key,
-          filename: fileData.filename,
-          contents: fileData.contents,
-          metadata: fileData.metadata,
-        };
-      })
-    );
-    return files;
+  async searchTerms(descriptor) {
+    const weights = FileClerk.SEARCH_WEIGHTS;
+    const terms = {};
+    const add = (text, weight) => {
+      for (const token of this.tokenize(text)) {
+        terms[token] = (terms[token] || 0) + weight;
+      }
+    };
+    add(descriptor.filename, weights.filename);
+    add(this.notesText(descriptor), weights.notes);
+    add(await this.searchableText(descriptor), weights.contents);
+    return terms;
   }
 
   /**
-   * Opens a file from storage by its ID and dispatches a file-opened event
-   * @param {string} id - The unique ID of the file to open
+   * Reads the indexed part of a text file's contents
+   * @param {Object} descriptor - The index descriptor
+   * @returns {Promise<string>} Up to SEARCH_MAX_BYTES of decoded text, or "" for other files
+   */
+  async searchableText(descriptor) {
+    if (!descriptor.hash || !this.isTextFile(descriptor)) return "";
+    const blob = await this.readBlob(descriptor.hash, descriptor.mimeType);
+    return blob ? await blob.slice(0, FileClerk.SEARCH_MAX_BYTES).text() : "";
+  }
+
+  /**
+   * Checks whether a file's contents are indexed as text
+   * @param {Object} descriptor - The index descriptor
+   * @returns {boolean} True for text/* and JSON/XML/JavaScript types and TEXT_EXTENSIONS
+   */
+  isTextFile(descriptor) {
+    const mimeType = descriptor.mimeType || "";
+    if (mimeType.startsWith("text/") || /json|xml|javascript|yaml/.test(mimeType)) {
+      return true;
+    }
+    const ext = String(descriptor.filename).split(".").pop().toLowerCase();
+    return FileClerk.TEXT_EXTENSIONS.includes(ext);
+  }
+
+  /**
+   * Returns the notes of a file as text
+   * @param {Object} descriptor - The index descriptor
+   * @returns {string} The notes, or ""
+   */
+  notesText(descriptor) {
+    const notes = this.normalizeMetadata(descriptor.metadata).notes;
+    return typeof notes === "string" ? notes : "";
+  }
+
+  /**
+   * Splits text into lowercase search tokens of letters and digits
+   * @param {string} text - The text
+   * @returns {Array<string>} Tokens of at least two characters
+   */
+  tokenize(text) {
+    return String(text || "").toLowerCase().match(/[\p{L}\p{N}]{2,64}/gu) || [];
+  }
+
+  /**
+   * Builds a highlighted snippet around the first match in a file's contents, notes or name
+   * @param {Object} descriptor - The index descriptor
+   * @param {Array<string>} tokens - The query tokens
+   * @returns {Promise<string>} HTML-escaped snippet with matches wrapped in <mark>
+   */
+  async searchSnippet(descriptor, tokens) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${tokens.join("|")})(?![\\p{L}\\p{N}])`, "giu");
+    const sources = [await this.searchableText(descriptor), this.notesText(descriptor), descriptor.filename];
+    const text = sources.find((source) => source.search(pattern) !== -1) || descriptor.filename;
+
+    const at = Math.max(0, text.search(pattern));
+    const start = Math.max(0, at - 40);
+    const end = Math.min(text.length, at + 120);
+    const excerpt = text.slice(start, end).replace(/\s+/g, " ");
+
+    let html = "";
+    let last = 0;
+    for (const match of excerpt.matchAll(pattern)) {
+      html += this.escapeHtml(excerpt.slice(last, match.index)) + `<mark>${this.escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+    html += this.escapeHtml(excerpt.slice(last));
+    return `${start > 0 ? "…" : ""}${html}${end < text.length ? "…" : ""}`;
+  }
+
+  /**
+   * Escapes text for insertion into HTML
+   * @param {string} text - The text
+   * @returns {string} The escaped text
+   */
+  escapeHtml(text) {
+    return text.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+  }
+
+  /**
+   * Lists the lookup terms of a descriptor: its tags, LOOKUP_FIELDS and primitive metadata values
+   * @param {Object} descriptor - The index descriptor
+   * @returns {Array<string>} Terms such as "tag:pets" or 'meta:author="sam"'
+   */
+  lookupTerms(descriptor) {
+    const terms = (descriptor.tags || []).map((tag) => `tag:${tag}`);
+    for (const field of FileClerk.LOOKUP_FIELDS) {
+      if (descriptor[field]) terms.push(this.metadataTerm(field, descriptor[field]));
+    }
+    for (const [key, value] of Object.entries(this.normalizeMetadata(descriptor.metadata))) {
+      if (this.isLookupValue(value)) terms.push(this.metadataTerm(key, value));
+    }
+    return terms;
+  }
+
+  /**
+   * Builds the lookup term for a metadata key and value
+   * @param {string} key - Metadata key or descriptor field
+   * @param {string|number|boolean} value - The value
+   * @returns {string} The term
+   */
+  metadataTerm(key, value) {
+    return `meta:${key}=${JSON.stringify(value)}`;
+  }
+
+  /**
+   * Checks whether a metadata value is indexed in the lookup store
+   * @param {*} value - The value
+   * @returns {boolean} True for strings, finite numbers and booleans
+   */
+  isLookupValue(value) {
+    return typeof value === "string" || typeof value === "boolean" || Number.isFinite(value);
+  }
+
+  /**
+   * Maps a lookup term to its storage key
+   * Encrypted stores key entries by an HMAC-SHA-256 of the term under the keyed-hash secret
+   * (see blobId()), so tags and metadata values cannot be guessed from the key names without
+   * the passphrase.
+   * @param {string} term - The lookup term
+   * @returns {Promise<string>} The storage key
+   */
+  async lookupKey(term) {
+    return this.hashKey ? await hmacHex(this.hashKey, `lookup:${term}`) : term;
+  }
+
+  /**
+   * Maps a search token to the storage key of its postings
+   * Keyed like lookup entries, so on encrypted stores the indexed words of a file cannot be
+   * recovered by hashing a dictionary
+   * @param {string} token - The token, as returned by tokenize()
+   * @returns {Promise<string>} The storage key
+   */
+  async searchKey(token) {
+    return await this.lookupKey(`term:${token}`);
+  }
+
+  /**
+   * Reads the descriptors of the files listed under a lookup term
+   * @param {string} term - The lookup term
+   * @returns {Promise<Array<Object>>} Descriptors, sorted by path
+   */
+  async lookupFiles(term) {
+    const ids = (await this.lookup.getItem(await this.lookupKey(term))) || [];
+    const files = (await Promise.all(ids.map((id) => this.index.getItem(id)))).filter(Boolean);
+    return files.sort((a, b) => this.compareValues(a.path, b.path));
+  }
+
+  /**
+   * Returns a copy of a descriptor limited to the requested fields
+   * Loads the file contents only when "contents" is one of the fields
+   * @param {Object} descriptor - The index descriptor
+   * @param {Array<string>} fields - Field names to keep
+   * @returns {Promise<Object>} The reduced descriptor
+   */
+  async pickFields(descriptor, fields) {
+    const picked = {};
+    for (const field of fields) {
+      picked[field] = field === "contents" ? await this.getContents(descriptor.id) : descriptor[field];
+    }
+    return picked;
+  }
+
+  /**
+   * Creates a predicate from a listFiles filter
+   * @param {Function|Object} filter - Predicate function or object of field values to match exactly
+   * @returns {Function} Predicate taking a descriptor
+   */
+  createMatcher(filter) {
+    if (typeof filter === "function") {
+      return filter;
+    }
+    return (descriptor) => Object.entries(filter).every(([key, value]) => descriptor[key] === value);
+  }
+
+  /**
+   * Compares two descriptor values for sorting; missing values sort last
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {number} Negative, zero or positive as in Array.prototype.sort
+   */
+  compareValues(a, b) {
+    if (a == null && b == null) return 0;
+    if (a == null) return 1;
+    if (b == null) return -1;
+    if (typeof a === "string" && typeof b === "string") {
+      return a.localeCompare(b);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  /**
+   * Brings the metadata index and trash in line with the stored records
+   * Adds missing descriptors (records saved before the index existed, or whose index write
+   * was interrupted), rewrites descriptors that no longer match their record, moves files
+   * between the index and trash to follow deletedAt, and drops stale ones. Malformed records
+   * are reported and kept out of the index so listFiles() never sees them. Changes nothing
+   * when the index is in line, so it runs on every initialize.
+   * @param {Object} [context] - Migration context
+   * @param {Function} [context.progress] - Called with (done, total) as records are read
+   * @param {Array<Object>} [context.malformed] - Receives {table, id, problem} for skipped records
    * @returns {Promise<void>}
-   * @fires file-opened - Custom event containing the file data
    */
-  async openFile(id) {
-    const fileData = await localforage.getItem(id);
-    // Use dataroom-js event method instead of CustomEvent
-    this.event("file-opened", fileData);
+  async reconcileIndex({ progress = () => {}, malformed = [] } = {}) {
+    const recordKeys = await this.records.keys();
+    const indexKeys = new Set(await this.index.keys());
+    const trashKeys = new Set(await this.trash.keys());
+
+    for (const [i, key] of recordKeys.entries()) {
+      progress(i + 1, recordKeys.length);
+      const fileData = await this.records.getItem(key);
+      const problem = this.validateRecord(fileData);
+      if (problem) {
+        // Kept in indexKeys and trashKeys, so any existing descriptor is dropped as stale
+        malformed.push({ table: "records", id: key, problem });
+        continue;
+      }
+
+      const listed = indexKeys.delete(key);
+      const trashed = trashKeys.delete(key);
+      const descriptor = this.describe(key, fileData);
+      if (fileData.deletedAt) {
+        if (listed) await this.unindexFile(key);
+        if (!trashed || !this.sameDescriptor(await this.trash.getItem(key), descriptor)) {
+          await this.trash.setItem(key, descriptor);
+        }
+      } else {
+        if (trashed) await this.trash.removeItem(key);
+        if (!listed || !this.sameDescriptor(await this.index.getItem(key), descriptor)) {
+          await this.indexFile(key, descriptor);
+        }
+      }
+    }
+
+    for (const staleKey of indexKeys) {
+      await this.unindexFile(staleKey);
+    }
+    for (const staleKey of trashKeys) {
+      await this.trash.removeItem(staleKey);
+    }
+  }
+
+  /**
+   * Checks whether a stored descriptor matches the one describe() builds for its record
+   * @param {Object|null} stored - The descriptor in the index or trash
+   * @param {Object} descriptor - The descriptor built from the record
+   * @returns {boolean} True when every field is equal
+   */
+  sameDescriptor(stored, descriptor) {
+    return Boolean(stored) && JSON.stringify(stored) === JSON.stringify(descriptor);
+  }
+
+  /**
+   * Moves contents held directly on records (Blobs, or Data URL strings saved by earlier
+   * versions) and on revision snapshots into the content-addressed blob store
+   * Runs once per record; records already referencing a hash are left untouched, and records
+   * whose contents cannot be read are left in place and reported as malformed
+   * @param {Object} [context] - Migration context
+   * @param {Function} [context.progress] - Called with (done, total) as records are read
+   * @param {Array<Object>} [context.malformed] - Receives {table, id, problem} for skipped records
+   * @returns {Promise<void>}
+   */
+  async migrateContents({ progress = () => {}, malformed = [] } = {}) {
+    const tables = [["records", this.records], ["revisions", this.revisions]];
+    const keys = await Promise.all(tables.map(([, store]) => store.keys()));
+    const total = keys.reduce((sum, list) => sum + list.length, 0);
+    let done = 0;
+
+    for (const [i, [table, store]] of tables.entries()) {
+      for (const key of keys[i]) {
+        progress(++done, total);
+        const value = await store.getItem(key);
+        if (!value || Array.isArray(value) || !("contents" in value)) continue;
+
+        const problem = this.validateRecord(value);
+        if (problem) {
+          malformed.push({ table, id: key, problem });
+          continue;
+        }
+
+        const { contents, ...fileData } = value;
+        let blob;
+        try {
+          blob = await this.toBlob(contents);
+        } catch (error) {
+          malformed.push({ table, id: key, problem: "contents could not be read" });
+          continue;
+        }
+        const content = await this.storeBlob(blob);
+        const migrated = { ...fileData, ...content };
+        await store.setItem(key, migrated);
+        if (store === this.records) {
+          await this.indexFile(key, this.describe(key, migrated));
+        }
+        this.log(`Moved contents of ${key} into the blob store`);
+      }
+    }
   }
 
   /**
    * Renders the file list UI in verbose mode
-   * Creates interactive file list with open and delete buttons
+   * Creates interactive file list with open, history, edit, move and delete buttons,
+   * or a passphrase form while the store is locked
    * @returns {Promise<void>}
    */
   async renderFileList() {
     if (!this.hasAttribute("verbose")) {
       return;
     }
+
+    if (this.locked) {
+      this.renderUnlockForm();
+      return;
+    }
     
-    const files = await this.listFiles();
+    const files = await this.listFiles({ sortBy: "createdAt" });
     const fileList = this.querySelector(".file-list");
     
     if (fileList) {
       fileList.innerHTML = "";
+
+      const usage = await this.getUsage();
+      const limit = usage.maxBytes ? ` of ${this.formatFileSize(usage.maxBytes)}` : "";
+      this.create("div", {
+        class: "file-usage",
+        content: `${usage.fileCount} files · ${this.formatFileSize(usage.storeBytes)}${limit} stored`
+      }, fileList);
+
+      if (this.encryption) {
+        const lockButton = this.create("button", {
+          content: "Lock"
+        }, fileList);
+
+        lockButton.addEventListener("click", () => this.lock());
+      }
       
       files.forEach((file) => {
         // Create file container div using dataroom-js create method
         const fileElement = this.create("div", {}, fileList);
         
         // Create filename span
+        const tags = file.tags.map((tag) => ` #${tag}`).join("");
         this.create("span", {
-          content: file.filename
+          content: `${file.path} (${this.formatFileSize(file.size)})${tags}`
         }, fileElement);
         
         // Create open button
@@ -140,6 +3356,53 @@ class FileClerk extends DataroomElement {
           await this.openFile(file.id);
         });
         
+        // Create history button toggling the revision list below the file
+        const historyButton = this.create("button", {
+          content: "History"
+        }, fileElement);
+
+        historyButton.addEventListener("click", async () => {
+          const existing = fileElement.nextElementSibling;
+          if (existing && existing.classList.contains("revision-list")) {
+            existing.remove();
+            return;
+          }
+          const revisionList = this.create("ul", {
+            class: "revision-list"
+          }, fileList);
+          fileElement.after(revisionList);
+          await this.renderRevisionList(file.id, revisionList);
+        });
+
+        // Create edit button asking for new notes and tags
+        const editButton = this.create("button", {
+          content: "Edit"
+        }, fileElement);
+
+        editButton.addEventListener("click", async () => {
+          const notes = prompt(`Notes for ${file.filename}:`, file.metadata.notes || "");
+          if (notes === null) return;
+          const tags = prompt("Tags (comma separated):", file.tags.join(", "));
+          if (tags === null) return;
+
+          if (notes !== (file.metadata.notes || "")) {
+            await this.updateFile(file.id, null, { ...file.metadata, notes });
+          }
+          await this.setTags(file.id, tags.split(","));
+        });
+
+        // Create move button asking for the destination folder
+        const moveButton = this.create("button", {
+          content: "Move"
+        }, fileElement);
+
+        moveButton.addEventListener("click", async () => {
+          const folder = prompt(`Move ${file.filename} to folder:`, file.folder);
+          if (folder !== null) {
+            await this.moveFile(file.id, folder);
+          }
+        });
+
         // Create delete button
         const deleteButton = this.create("button", {
           content: "Delete"
@@ -149,7 +3412,178 @@ class FileClerk extends DataroomElement {
           await this.deleteFile(file.id);
         });
       });
+
+      await this.renderTrash(fileList);
+    }
+  }
+
+  /**
+   * Renders the trash section with restore and permanent delete controls
+   * @param {HTMLElement} fileList - The file list container to append to
+   * @returns {Promise<void>}
+   */
+  async renderTrash(fileList) {
+    const trashed = await this.listTrash();
+    if (trashed.length === 0) return;
+
+    const trashElement = this.create("div", { class: "file-trash" }, fileList);
+    this.create("h2", { content: `Trash (${trashed.length})` }, trashElement);
+
+    const emptyButton = this.create("button", {
+      content: "Empty trash"
+    }, trashElement);
+
+    emptyButton.addEventListener("click", async () => {
+      if (confirm(`Permanently delete ${trashed.length} files?`)) {
+        await this.emptyTrash();
+      }
+    });
+
+    trashed.forEach((file) => {
+      const fileElement = this.create("div", {}, trashElement);
+
+      this.create("span", {
+        content: `${file.filename} (deleted ${new Date(file.deletedAt).toLocaleString()})`
+      }, fileElement);
+
+      const restoreButton = this.create("button", {
+        content: "Restore"
+      }, fileElement);
+
+      restoreButton.addEventListener("click", async () => {
+        await this.restoreFile(file.id);
+      });
+
+      const purgeButton = this.create("button", {
+        content: "Delete forever"
+      }, fileElement);
+
+      purgeButton.addEventListener("click", async () => {
+        if (confirm(`Permanently delete ${file.filename}?`)) {
+          await this.deleteFile(file.id, { permanent: true });
+        }
+      });
+    });
+  }
+
+  /**
+   * Renders search results with highlighted snippets below the search box in verbose mode
+   * @param {string} query - The search text
+   * @returns {Promise<void>}
+   */
+  async renderSearchResults(query) {
+    const container = this.querySelector(".search-results");
+    if (!container) return;
+
+    this.searchQuery = query;
+    const results = this.locked || !query.trim() ? [] : await this.search(query);
+    // A newer query may have finished first
+    if (this.searchQuery !== query) return;
+
+    container.innerHTML = "";
+    results.forEach(({ id, snippet, file }) => {
+      const resultElement = this.create("div", { class: "search-result" }, container);
+
+      this.create("strong", {
+        content: file.path
+      }, resultElement);
+
+      const snippetElement = this.create("p", {}, resultElement);
+      snippetElement.innerHTML = snippet;
+
+      const openButton = this.create("button", {
+        content: "Open"
+      }, resultElement);
+
+      openButton.addEventListener("click", async () => {
+        await this.openFile(id);
+      });
+    });
+  }
+
+  /**
+   * Formats file size in human-readable format
+   * @param {number} bytes - File size in bytes
+   * @returns {string} Formatted file size
+   */
+  formatFileSize(bytes) {
+    return formatFileSize(bytes);
+  }
+
+  /**
+   * Renders the passphrase form shown in place of the file list while the store is locked
+   * @returns {void}
+   */
+  renderUnlockForm() {
+    const fileList = this.querySelector(".file-list");
+    if (!fileList) return;
+
+    fileList.innerHTML = "";
+
+    const passphraseInput = this.create("input", {
+      type: "password",
+      placeholder: this.encryption ? "Passphrase" : "Choose a passphrase"
+    }, fileList);
+
+    const unlockButton = this.create("button", {
+      content: "Unlock"
+    }, fileList);
+
+    const message = this.create("span", {
+      class: "unlock-message"
+    }, fileList);
+
+    unlockButton.addEventListener("click", async () => {
+      try {
+        await this.unlock(passphraseInput.value);
+      } catch (error) {
+        message.textContent = error.message;
+      }
+    });
+  }
+
+  /**
+   * Renders the revision history of a file into a list element in verbose mode
+   * Each revision gets open and restore buttons
+   * @param {string} id - The unique ID of the file
+   * @param {HTMLElement} container - The list element to render into
+   * @returns {Promise<void>}
+   */
+  async renderRevisionList(id, container) {
+    const revisions = await this.listRevisions(id);
+    container.innerHTML = "";
+
+    if (revisions.length === 0) {
+      this.create("li", {
+        content: "No previous revisions"
+      }, container);
+      return;
     }
+
+    // Newest first
+    [...revisions].reverse().forEach((revision) => {
+      const item = this.create("li", {}, container);
+
+      this.create("span", {
+        content: `#${revision.rev} ${revision.filename} — ${revision.savedAt ? new Date(revision.savedAt).toLocaleString() : "Unknown"}`
+      }, item);
+
+      const openButton = this.create("button", {
+        content: "Open"
+      }, item);
+
+      openButton.addEventListener("click", async () => {
+        await this.openRevision(id, revision.rev);
+      });
+
+      const restoreButton = this.create("button", {
+        content: "Restore"
+      }, item);
+
+      restoreButton.addEventListener("click", async () => {
+        await this.restoreRevision(id, revision.rev);
+      });
+    });
   }
 }
 
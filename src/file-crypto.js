@@ -0,0 +1,279 @@
+/**
+ * File Crypto Utilities
+ *
+ * WebCrypto helpers shared by FileClerk and FileArchive for passphrase-based
+ * encryption: PBKDF2 key derivation, AES-GCM encryption of bytes, Blobs and
+ * JSON values, SHA-256 digests of Blobs, HMAC-SHA-256 keyed hashes, and a wrapper that
+ * seals values written to a localforage instance.
+ *
+ * Ciphertext layout for bytes and Blobs is the 12-byte IV followed by the
+ * AES-GCM output (which includes the 16-byte authentication tag).
+ *
+ * @example
+ * const salt = randomBytes(16);
+ * const key = await deriveKey('correct horse battery staple', salt, PBKDF2_ITERATIONS);
+ * const sealed = await encryptBlob(new Blob(['secret']), key);
+ * const plain = await decryptBlob(sealed, key, 'text/plain');
+ */
+
+/**
+ * Default PBKDF2 iteration count for new keys
+ * @type {number}
+ */
+export const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Length of the AES-GCM initialization vector in bytes
+ * @type {number}
+ */
+const IV_LENGTH = 12;
+
+/**
+ * Returns the WebCrypto implementation of the current window
+ * @returns {Crypto} The crypto object
+ */
+function getCrypto() {
+  return window.crypto || window.msCrypto;
+}
+
+/**
+ * Generates cryptographically random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Random bytes
+ */
+export function randomBytes(length) {
+  return getCrypto().getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Derives an AES-GCM key from a passphrase with PBKDF2 (SHA-256)
+ * @param {string} passphrase - The passphrase
+ * @param {Uint8Array} salt - Random salt stored alongside the encrypted data
+ * @param {number} [iterations=PBKDF2_ITERATIONS] - PBKDF2 iteration count
+ * @param {boolean} [extractable=false] - Allow the key to be wrapped with wrapKey()
+ * @returns {Promise<CryptoKey>} A 256-bit AES-GCM key, non-extractable by default
+ */
+export async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS, extractable = false) {
+  const subtle = getCrypto().subtle;
+  const material = await subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return await subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    extractable,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Encrypts an extractable AES-GCM key under another key
+ * @param {CryptoKey} key - The key to wrap, derived with extractable set
+ * @param {CryptoKey} wrappingKey - The AES-GCM key to encrypt it with
+ * @returns {Promise<Uint8Array>} IV followed by ciphertext of the raw key
+ */
+export async function wrapKey(key, wrappingKey) {
+  const raw = await getCrypto().subtle.exportKey("raw", key);
+  return await encryptBytes(raw, wrappingKey);
+}
+
+/**
+ * Decrypts a key produced by wrapKey()
+ * @param {ArrayBuffer|Uint8Array} bytes - IV followed by ciphertext
+ * @param {CryptoKey} wrappingKey - The AES-GCM key it was wrapped with
+ * @returns {Promise<CryptoKey>} A non-extractable AES-GCM key
+ */
+export async function unwrapKey(bytes, wrappingKey) {
+  const raw = await decryptBytes(bytes, wrappingKey);
+  return await getCrypto().subtle.importKey("raw", raw, { name: "AES-GCM" }, false, ["encrypt", "decrypt"]);
+}
+
+/**
+ * Encrypts bytes with AES-GCM under a fresh random IV
+ * @param {ArrayBuffer|Uint8Array} bytes - The plaintext
+ * @param {CryptoKey} key - The AES-GCM key
+ * @returns {Promise<Uint8Array>} IV followed by ciphertext
+ */
+export async function encryptBytes(bytes, key) {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = await getCrypto().subtle.encrypt({ name: "AES-GCM", iv }, key, bytes);
+  const out = new Uint8Array(IV_LENGTH + cipher.byteLength);
+  out.set(iv, 0);
+  out.set(new Uint8Array(cipher), IV_LENGTH);
+  return out;
+}
+
+/**
+ * Decrypts bytes produced by encryptBytes()
+ * @param {ArrayBuffer|Uint8Array} bytes - IV followed by ciphertext
+ * @param {CryptoKey} key - The AES-GCM key
+ * @returns {Promise<ArrayBuffer>} The plaintext
+ * @throws {DOMException} OperationError when the key is wrong or the data was tampered with
+ */
+export async function decryptBytes(bytes, key) {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const iv = view.subarray(0, IV_LENGTH);
+  return await getCrypto().subtle.decrypt({ name: "AES-GCM", iv }, key, view.subarray(IV_LENGTH));
+}
+
+/**
+ * Encrypts a Blob's bytes
+ * @param {Blob} blob - The plaintext Blob
+ * @param {CryptoKey} key - The AES-GCM key
+ * @returns {Promise<Blob>} An application/octet-stream Blob holding IV and ciphertext
+ */
+export async function encryptBlob(blob, key) {
+  const sealed = await encryptBytes(await blob.arrayBuffer(), key);
+  return new Blob([sealed], { type: "application/octet-stream" });
+}
+
+/**
+ * Decrypts a Blob produced by encryptBlob()
+ * @param {Blob} blob - The encrypted Blob
+ * @param {CryptoKey} key - The AES-GCM key
+ * @param {string} [type] - MIME type of the resulting plaintext Blob
+ * @returns {Promise<Blob>} The plaintext Blob
+ */
+export async function decryptBlob(blob, key, type = "") {
+  const plain = await decryptBytes(await blob.arrayBuffer(), key);
+  return new Blob([plain], { type });
+}
+
+/**
+ * Computes the SHA-256 digest of a Blob's bytes
+ * @param {Blob} blob - The Blob to hash
+ * @returns {Promise<string>} The digest as lowercase hex
+ */
+export async function digestBlob(blob) {
+  const digest = await getCrypto().subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Imports secret bytes as an HMAC-SHA-256 key
+ * @param {Uint8Array} bytes - The secret, kept sealed under the store key
+ * @returns {Promise<CryptoKey>} A non-extractable HMAC key
+ */
+export async function importHmacKey(bytes) {
+  return await getCrypto().subtle.importKey("raw", bytes, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+}
+
+/**
+ * Computes the HMAC-SHA-256 of a string
+ * Unlike a salted hash, the result cannot be checked against guesses without the key
+ * @param {CryptoKey} key - The HMAC key
+ * @param {string} text - The text to authenticate
+ * @returns {Promise<string>} The MAC as lowercase hex
+ */
+export async function hmacHex(key, text) {
+  const mac = await getCrypto().subtle.sign("HMAC", key, new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(mac), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Encrypts a JSON-serializable value
+ * @param {*} value - The value to encrypt
+ * @param {CryptoKey} key - The AES-GCM key
+ * @returns {Promise<Uint8Array>} IV followed by ciphertext of the JSON text
+ */
+export async function encryptJson(value, key) {
+  return await encryptBytes(new TextEncoder().encode(JSON.stringify(value)), key);
+}
+
+/**
+ * Decrypts a value produced by encryptJson()
+ * @param {ArrayBuffer|Uint8Array} bytes - IV followed by ciphertext
+ * @param {CryptoKey} key - The AES-GCM key
+ * @returns {Promise<*>} The decrypted value
+ */
+export async function decryptJson(bytes, key) {
+  return JSON.parse(new TextDecoder().decode(await decryptBytes(bytes, key)));
+}
+
+/**
+ * Encodes bytes as base64 for JSON manifests
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} Base64 text
+ */
+export function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes base64 text into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} The decoded bytes
+ */
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+/**
+ * Wraps a localforage instance so values are encrypted on write and decrypted on read
+ * Sealed values are stored as { sealed: Uint8Array }; plain values written before
+ * encryption was enabled are still read as-is.
+ * @param {Object} store - The localforage instance to wrap
+ * @param {Function} getKey - Returns the current CryptoKey, null when encryption is off,
+ *   or throws when the store is locked (so reads and writes fail while locked)
+ * @param {Function} [getPreviousKey] - Returns the key values may still be sealed with while
+ *   they are re-encrypted under a new one, or null
+ * @returns {Object} Object with the localforage getItem/setItem/removeItem/keys/iterate/clear methods
+ */
+export function sealedStore(store, getKey, getPreviousKey = () => null) {
+  const open = async (raw) => {
+    const cryptoKey = getKey();
+    if (!raw || !raw.sealed) return raw;
+    try {
+      return await decryptJson(raw.sealed, cryptoKey);
+    } catch (error) {
+      const previousKey = getPreviousKey();
+      if (!previousKey) throw error;
+      return await decryptJson(raw.sealed, previousKey);
+    }
+  };
+
+  return {
+    raw: store,
+    async getItem(key) {
+      return await open(await store.getItem(key));
+    },
+    async setItem(key, value) {
+      const cryptoKey = getKey();
+      await store.setItem(key, cryptoKey ? { sealed: await encryptJson(value, cryptoKey) } : value);
+      return value;
+    },
+    async removeItem(key) {
+      await store.removeItem(key);
+    },
+    async keys() {
+      return await store.keys();
+    },
+    async clear() {
+      await store.clear();
+    },
+    async iterate(callback) {
+      if (!getKey()) {
+        return await store.iterate(callback);
+      }
+      // Decrypting is async and would end the cursor's transaction, so read in one pass first
+      const entries = [];
+      await store.iterate((value, key) => {
+        entries.push([key, value]);
+      });
+      for (let i = 0; i < entries.length; i++) {
+        const [key, value] = entries[i];
+        const result = callback(await open(value), key, i + 1);
+        if (result !== undefined) return result;
+      }
+    },
+  };
+}
@@ -1,5 +1,20 @@
 import DataroomElement from "dataroom-js";
 
+/**
+ * Formats a byte count in human-readable format, shared with FileClerk
+ * @param {number} bytes - File size in bytes
+ * @returns {string} Formatted file size, e.g. "1.5 MB"
+ */
+export function formatFileSize(bytes) {
+  if (bytes === 0) return '0 B';
+
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
 /**
  * File List Component
  *
@@ -248,13 +263,7 @@ class FileList extends DataroomElement {
    * @returns {string} Formatted file size
    */
   formatFileSize(bytes) {
-    if (bytes === 0) return '0 B';
-    
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    return formatFileSize(bytes);
   }
 
   /**
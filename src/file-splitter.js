@@ -1,11 +1,59 @@
 import DataroomElement from "dataroom-js";
 
+/**
+ * Default chunk size for splitting Blobs (4 MiB)
+ * @type {number}
+ */
+export const BLOB_CHUNK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Splits a Blob into chunks of at most chunkSize bytes
+ * Chunks are slices of the original Blob, so no bytes are read until a chunk is used
+ * @param {Blob} blob - The Blob to split
+ * @param {number} [chunkSize=BLOB_CHUNK_SIZE] - Maximum bytes per chunk
+ * @returns {Array<Object>} Array of chunk objects with index and data (a Blob) properties
+ */
+export function splitBlob(blob, chunkSize = BLOB_CHUNK_SIZE) {
+  const totalChunks = Math.max(1, Math.ceil(blob.size / chunkSize));
+  const chunks = [];
+  for (let i = 0; i < totalChunks; i++) {
+    chunks.push({ index: i, data: blob.slice(i * chunkSize, (i + 1) * chunkSize) });
+  }
+  return chunks;
+}
+
+/**
+ * Joins Blob chunks produced by splitBlob() back into one Blob
+ * @param {Array<Object>} chunks - Array of chunk objects with index and data properties
+ * @param {string} [type] - MIME type of the joined Blob
+ * @returns {Blob} The reconstructed Blob
+ */
+export function joinBlobs(chunks, type = "") {
+  const ordered = [...chunks].sort((a, b) => a.index - b.index);
+  return new Blob(ordered.map((chunk) => chunk.data), { type });
+}
+
+/**
+ * Works out which chunks hold a byte span of a file split into equal chunks
+ * @param {number} start - First byte of the span
+ * @param {number} end - Byte after the last byte of the span
+ * @param {number} chunkSize - Bytes per chunk
+ * @returns {Object} { first, last, offset } — indexes of the first and last chunk, and where
+ *   the span starts inside the first chunk
+ */
+export function chunkRange(start, end, chunkSize) {
+  const first = Math.floor(start / chunkSize);
+  const last = Math.max(first, Math.ceil(end / chunkSize) - 1);
+  return { first, last, offset: start - first * chunkSize };
+}
+
 /**
  * File Splitter Component
  *
  * A utility component that can split large Data URL strings into smaller chunks
- * and rejoin them back into the original Data URL. Useful for handling large files
- * that may exceed storage or transmission limits.
+ * and rejoin them back into the original Data URL, and split Blobs into byte chunks
+ * without reading them. Useful for handling large files that may exceed storage or
+ * transmission limits; FileClerk stores large files as Blob chunks this way.
  *
  * @class FileSplitter
  * @extends DataroomElement
@@ -18,6 +66,8 @@ import DataroomElement from "dataroom-js";
  * const splitter = document.querySelector('file-splitter');
  * const chunks = splitter.splitFiles(dataURL);
  * const rejoined = splitter.joinFiles(chunks);
+ * const parts = splitter.splitBlob(videoFile, 1024 * 1024);
+ * const video = splitter.joinBlobs(parts, 'video/mp4');
  */
 class FileSplitter extends DataroomElement {
   /**
@@ -86,6 +136,30 @@ class FileSplitter extends DataroomElement {
 
     return data;
   }
+
+  /**
+   * Splits a Blob into chunks without reading its bytes
+   * @param {Blob} blob - The Blob to split
+   * @param {number} [chunkSize=BLOB_CHUNK_SIZE] - Maximum bytes per chunk
+   * @returns {Array<Object>} Array of chunk objects with index and data (a Blob) properties
+   *
+   * @example
+   * const chunks = splitter.splitBlob(file, 1024 * 1024);
+   * // Returns: [{ index: 0, data: Blob }, { index: 1, data: Blob }, ...]
+   */
+  splitBlob(blob, chunkSize = BLOB_CHUNK_SIZE) {
+    return splitBlob(blob, chunkSize);
+  }
+
+  /**
+   * Joins Blob chunks back into one Blob
+   * @param {Array<Object>} chunks - Array of chunk objects with index and data properties
+   * @param {string} [type] - MIME type of the joined Blob
+   * @returns {Blob} The reconstructed Blob
+   */
+  joinBlobs(chunks, type = "") {
+    return joinBlobs(chunks, type);
+  }
 }
 
 // Define the custom element
@@ -5,6 +5,7 @@ import DataroomElement from "dataroom-js";
  *
  * A custom element that provides a user interface for selecting, naming, and uploading files.
  * The component reads selected files as Data URLs and dispatches events when files are uploaded.
+ * The original File is included in the event so it can be stored as a Blob without base64 overhead.
  *
  * @class FileUploader
  * @extends DataroomElement
@@ -16,11 +17,11 @@ import DataroomElement from "dataroom-js";
  * // JavaScript usage:
  * const uploader = document.querySelector('file-uploader');
  * uploader.addEventListener('fileuploaded', (event) => {
- *   const { fileData, name, notes } = event.detail;
+ *   const { fileData, file, name, notes } = event.detail;
  *   console.log('File uploaded:', name);
  * });
  * 
- * @fires fileuploaded - When a file is successfully uploaded with file data, name, and notes
+ * @fires fileuploaded - When a file is successfully uploaded with file data, the File, name, and notes
  */
 class FileUploader extends DataroomElement {
   /**
@@ -80,7 +81,7 @@ class FileUploader extends DataroomElement {
   
   /**
    * Handles the file upload process
-   * Reads the selected file as a Data URL and dispatches the fileuploaded event
+   * Reads the selected file as a Data URL and dispatches the fileuploaded event with the File attached
    * @param {HTMLInputElement} fileInput - The file input element
    * @param {HTMLInputElement} fileName - The file name input element  
    * @param {HTMLTextAreaElement} fileNotes - The file notes textarea element
@@ -97,7 +98,7 @@ class FileUploader extends DataroomElement {
     reader.readAsDataURL(file);
     reader.onload = () => {
       const fileData = reader.result;
-      const eventData = { fileData, name, notes };
+      const eventData = { fileData, file, name, notes };
       
       // Use dataroom-js event method to dispatch custom event
       this.event('fileuploaded', eventData);
@@ -3,8 +3,8 @@ import DataroomElement from "dataroom-js";
 /**
  * File Viewer Component
  *
- * A custom element that renders different types of files by parsing their MIME type
- * from Data URLs. Supports images, videos, audio, PDFs, and text files.
+ * A custom element that renders different types of files by reading their MIME type
+ * from a Blob or parsing it from a Data URL. Supports images, videos, audio, PDFs, and text files.
  *
  * @class FileViewer
  * @extends DataroomElement
@@ -16,17 +16,30 @@ import DataroomElement from "dataroom-js";
  * // JavaScript usage:
  * const viewer = document.querySelector('file-viewer');
  * viewer.openFile('data:image/jpeg;base64,/9j/4AAQ...');
+ * viewer.openFile(blob); // Blob or File, e.g. from FileClerk
  */
 class FileViewer extends DataroomElement {
   /**
-   * Opens and renders a file based on its Data URL
-   * Parses the MIME type from the Data URL and renders the file accordingly
-   * @param {string} fileDataUrl - The Data URL of the file to display
+   * Opens and renders a file from a Blob or a Data URL
+   * Blobs are displayed through an object URL, which is revoked when another file is opened
+   * @param {Blob|string} file - The Blob or Data URL of the file to display
    * @returns {void}
    */
-  openFile(fileDataUrl) {
-    // Extract the file type from the data URL
-    const fileType = fileDataUrl.split(":")[1].split(";")[0];
+  openFile(file) {
+    this.revokeObjectUrl();
+
+    let fileType;
+    let fileDataUrl;
+    if (file instanceof Blob) {
+      // Parameters such as ";charset=utf-8" do not change how the file is shown
+      fileType = file.type.split(";")[0].trim().toLowerCase();
+      this.objectUrl = URL.createObjectURL(file);
+      fileDataUrl = this.objectUrl;
+    } else {
+      // Extract the file type from the data URL
+      fileType = file.split(":")[1].split(";")[0];
+      fileDataUrl = file;
+    }
 
     // Render the file based on its type
     switch (fileType) {
@@ -45,7 +58,7 @@ class FileViewer extends DataroomElement {
         this.renderPdf(fileDataUrl);
         break;
       case "text/plain":
-        this.renderText(fileDataUrl);
+        this.renderText(file);
         break;
       default:
         console.error("Unsupported file type:", fileType);
@@ -92,16 +105,21 @@ class FileViewer extends DataroomElement {
 
   /**
    * Renders a text file in the viewer
-   * Fetches the text content from the Data URL and displays it in a pre-formatted element
-   * @param {string} fileDataUrl - The Data URL of the text file
-   * @returns {void}
+   * Reads the text content from the Blob or Data URL and displays it in a pre-formatted element
+   * @param {Blob|string} fileDataUrl - The Blob or Data URL of the text file
+   * @returns {Promise<void>}
    */
-  renderText(fileDataUrl) {
+  async renderText(fileDataUrl) {
     this.clear();
     try {
-      // Extract the base64 data from the data URL
-      const base64Data = fileDataUrl.split(',')[1];
-      const text = atob(base64Data);
+      let text;
+      if (fileDataUrl instanceof Blob) {
+        text = await fileDataUrl.text();
+      } else {
+        // Extract the base64 data from the data URL
+        const base64Data = fileDataUrl.split(',')[1];
+        text = atob(base64Data);
+      }
       const pre = this.create("pre", {
         content: text
       });
@@ -126,6 +144,17 @@ class FileViewer extends DataroomElement {
     });
   }
 
+  /**
+   * Revokes the object URL created for the previously opened Blob, if any
+   * @returns {void}
+   */
+  revokeObjectUrl() {
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+  }
+
   /**
    * Clears all child elements from the viewer
    * @returns {void}
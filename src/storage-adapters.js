@@ -0,0 +1,370 @@
+import localforage from './vendor/localforage-esm.js';
+import { digestBlob } from './file-crypto.js';
+
+/**
+ * Storage Adapters
+ *
+ * Pluggable key-value backends for FileClerk. Each adapter opens tables inside a named
+ * database; every table offers the same interface, modelled on localforage:
+ * getItem, setItem, removeItem, keys, iterate, clear and stream.
+ *
+ * - "indexeddb": IndexedDB through the vendored localforage (the default)
+ * - "memory": in-memory Maps shared by all clerks on the page, lost on reload
+ * - "opfs": the Origin Private File System (navigator.storage.getDirectory()), one file
+ *   per key, with Blobs kept as byte ranges of that file so large contents are read lazily
+ *
+ * @example
+ * const adapter = createStorageAdapter('opfs');
+ * const table = adapter.table('file-clerk:default', 'records');
+ * await table.setItem('a', { filename: 'a.txt' });
+ * const stream = await adapter.table('file-clerk:default', 'blobs').stream(hash);
+ */
+
+/**
+ * Tables of the memory backend, keyed by "<database>/<table>"
+ * @type {Map<string, Map<string, *>>}
+ */
+const memoryTables = new Map();
+
+/**
+ * Longest encoded key the OPFS backend uses as a file name; file systems cap names at 255 bytes
+ * @type {number}
+ */
+const MAX_FILE_NAME = 200;
+
+/**
+ * Creates the adapter for a backend name
+ * @param {string} [backend="indexeddb"] - "indexeddb", "memory" or "opfs"
+ * @returns {Object} The adapter, with name, table(database, name) and drop(database)
+ * @throws {Error} When the backend is unknown or not supported by this browser
+ */
+export function createStorageAdapter(backend = "indexeddb") {
+  switch (backend) {
+    case "indexeddb":
+      return new IndexedDBAdapter();
+    case "memory":
+      return new MemoryAdapter();
+    case "opfs":
+      if (!navigator.storage || typeof navigator.storage.getDirectory !== "function") {
+        throw new Error("The Origin Private File System is not supported in this browser");
+      }
+      return new OPFSAdapter();
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+/**
+ * Wraps a table so every write runs inside a guard, such as a lock shared by all writers
+ * Reads go straight to the table.
+ * @param {Object} table - The table to wrap
+ * @param {Function} guard - Called with each write as an async function; returns its result
+ * @returns {Object} A table with the same interface
+ */
+export function guardedTable(table, guard) {
+  return {
+    getItem: (key) => table.getItem(key),
+    setItem: (key, value) => guard(() => table.setItem(key, value)),
+    removeItem: (key) => guard(() => table.removeItem(key)),
+    keys: () => table.keys(),
+    iterate: (callback) => table.iterate(callback),
+    clear: () => guard(() => table.clear()),
+    stream: (key) => table.stream(key),
+  };
+}
+
+/**
+ * Streams a Blob held in a stored value, either the value itself or its contents field
+ * @param {*} value - The stored value
+ * @returns {ReadableStream|null} A stream of the Blob's bytes, or null when there is no Blob
+ */
+function streamValue(value) {
+  const blob = value instanceof Blob ? value : value && value.contents;
+  return blob instanceof Blob ? blob.stream() : null;
+}
+
+/**
+ * IndexedDB backend using localforage
+ */
+export class IndexedDBAdapter {
+  constructor() {
+    this.name = "indexeddb";
+  }
+
+  /**
+   * Opens a table
+   * @param {string} database - Database name
+   * @param {string} name - Table (object store) name
+   * @returns {Object} The table
+   */
+  table(database, name) {
+    const store = localforage.createInstance({ name: database, storeName: name });
+    return {
+      getItem: (key) => store.getItem(key),
+      setItem: (key, value) => store.setItem(key, value),
+      removeItem: (key) => store.removeItem(key),
+      keys: () => store.keys(),
+      iterate: (callback) => store.iterate(callback),
+      clear: () => store.clear(),
+      stream: async (key) => streamValue(await store.getItem(key)),
+    };
+  }
+
+  /**
+   * Deletes a database with all its tables
+   * @param {string} database - Database name
+   * @returns {Promise<void>}
+   */
+  async drop(database) {
+    await localforage.dropInstance({ name: database });
+  }
+}
+
+/**
+ * In-memory backend; values are structured-cloned like IndexedDB would
+ */
+export class MemoryAdapter {
+  constructor() {
+    this.name = "memory";
+  }
+
+  /**
+   * Opens a table
+   * @param {string} database - Database name
+   * @param {string} name - Table name
+   * @returns {Object} The table
+   */
+  table(database, name) {
+    const id = `${database}/${name}`;
+    const entries = () => {
+      if (!memoryTables.has(id)) memoryTables.set(id, new Map());
+      return memoryTables.get(id);
+    };
+    const read = (key) => (entries().has(key) ? structuredClone(entries().get(key)) : null);
+
+    return {
+      async getItem(key) {
+        return read(key);
+      },
+      async setItem(key, value) {
+        entries().set(key, structuredClone(value ?? null));
+        return value;
+      },
+      async removeItem(key) {
+        entries().delete(key);
+      },
+      async keys() {
+        return [...entries().keys()];
+      },
+      async iterate(callback) {
+        const keys = [...entries().keys()];
+        for (let i = 0; i < keys.length; i++) {
+          const result = callback(read(keys[i]), keys[i], i + 1);
+          if (result !== undefined) return result;
+        }
+      },
+      async clear() {
+        entries().clear();
+      },
+      async stream(key) {
+        return streamValue(read(key));
+      },
+    };
+  }
+
+  /**
+   * Deletes a database with all its tables
+   * @param {string} database - Database name
+   * @returns {Promise<void>}
+   */
+  async drop(database) {
+    for (const id of [...memoryTables.keys()]) {
+      if (id.startsWith(`${database}/`)) memoryTables.delete(id);
+    }
+  }
+}
+
+/**
+ * Origin Private File System backend
+ * Layout: file-clerk/<database>/<table>/<encoded key>. Each file holds a 4-byte header
+ * length, a JSON header, then the bytes of every Blob and Uint8Array in the value.
+ * Keys too long for a file name (such as lookup keys built from notes) are stored as "#"
+ * followed by their SHA-256, with the key itself kept in the header.
+ */
+export class OPFSAdapter {
+  constructor() {
+    this.name = "opfs";
+  }
+
+  /**
+   * Opens a table
+   * @param {string} database - Database name
+   * @param {string} name - Table name
+   * @returns {Object} The table
+   */
+  table(database, name) {
+    let directoryHandle = null;
+    const directory = () => (directoryHandle ||= this.directory([database, name]));
+    const fileName = async (key) => {
+      const encoded = encodeURIComponent(key);
+      return encoded.length > MAX_FILE_NAME ? `#${await digestBlob(new Blob([key]))}` : encoded;
+    };
+    const getItem = async (key) => {
+      try {
+        const handle = await (await directory()).getFileHandle(await fileName(key));
+        return await decodeValue(await handle.getFile());
+      } catch (error) {
+        if (error.name === "NotFoundError") return null;
+        throw error;
+      }
+    };
+    const keys = async () => {
+      const names = [];
+      const dir = await directory();
+      for await (const entryName of dir.keys()) {
+        // "#" is always percent-encoded, so only hashed names start with it
+        names.push(entryName.startsWith("#")
+          ? (await readHeader(await (await dir.getFileHandle(entryName)).getFile())).key
+          : decodeURIComponent(entryName));
+      }
+      return names;
+    };
+    const removeItem = async (key) => {
+      try {
+        await (await directory()).removeEntry(await fileName(key));
+      } catch (error) {
+        if (error.name !== "NotFoundError") throw error;
+      }
+    };
+
+    return {
+      getItem,
+      async setItem(key, value) {
+        const name = await fileName(key);
+        const handle = await (await directory()).getFileHandle(name, { create: true });
+        const writable = await handle.createWritable();
+        try {
+          await writable.write(encodeValue(value, name.startsWith("#") ? key : undefined));
+          await writable.close();
+        } catch (error) {
+          await writable.abort();
+          throw error;
+        }
+        return value;
+      },
+      removeItem,
+      keys,
+      async iterate(callback) {
+        const names = await keys();
+        for (let i = 0; i < names.length; i++) {
+          const result = callback(await getItem(names[i]), names[i], i + 1);
+          if (result !== undefined) return result;
+        }
+      },
+      async clear() {
+        for (const key of await keys()) {
+          await removeItem(key);
+        }
+      },
+      async stream(key) {
+        return streamValue(await getItem(key));
+      },
+    };
+  }
+
+  /**
+   * Deletes a database with all its tables
+   * @param {string} database - Database name
+   * @returns {Promise<void>}
+   */
+  async drop(database) {
+    try {
+      const root = await this.directory([]);
+      await root.removeEntry(encodeURIComponent(database), { recursive: true });
+    } catch (error) {
+      if (error.name !== "NotFoundError") throw error;
+    }
+  }
+
+  /**
+   * Opens (creating as needed) a directory below the file-clerk root
+   * @param {Array<string>} path - Directory names below the root
+   * @returns {Promise<FileSystemDirectoryHandle>} The directory handle
+   */
+  async directory(path) {
+    let handle = await (await navigator.storage.getDirectory()).getDirectoryHandle("file-clerk", { create: true });
+    for (const name of path) {
+      handle = await handle.getDirectoryHandle(encodeURIComponent(name), { create: true });
+    }
+    return handle;
+  }
+}
+
+/**
+ * Serializes a value into a Blob, keeping Blobs and Uint8Arrays as raw bytes
+ * @param {*} value - A JSON-compatible value that may contain Blobs and Uint8Arrays
+ * @param {string} [key] - The key, kept in the header when the file name cannot hold it
+ * @returns {Blob} The encoded value
+ */
+function encodeValue(value, key) {
+  const parts = [];
+  const json = JSON.stringify(value ?? null, (key, item) => {
+    if (item instanceof Blob) {
+      parts.push(item);
+      return { $blob: parts.length - 1, type: item.type };
+    }
+    if (item instanceof Uint8Array) {
+      parts.push(new Blob([item]));
+      return { $bytes: parts.length - 1 };
+    }
+    return item;
+  });
+  const header = new TextEncoder().encode(JSON.stringify({ key, json, sizes: parts.map((part) => part.size) }));
+  const length = new Uint8Array(4);
+  new DataView(length.buffer).setUint32(0, header.length);
+  return new Blob([length, header, ...parts]);
+}
+
+/**
+ * Reads the header of a file written by encodeValue()
+ * @param {Blob} file - The stored file
+ * @returns {Promise<Object>} { key, json, sizes, length } with the header's own byte length
+ */
+async function readHeader(file) {
+  const length = new DataView(await file.slice(0, 4).arrayBuffer()).getUint32(0);
+  return { ...JSON.parse(await file.slice(4, 4 + length).text()), length };
+}
+
+/**
+ * Deserializes a value written by encodeValue()
+ * Blobs come back as slices of the file, so their bytes are only read when used
+ * @param {Blob} file - The stored file
+ * @returns {Promise<*>} The value
+ */
+async function decodeValue(file) {
+  const { json, sizes, length } = await readHeader(file);
+
+  const offsets = [];
+  let offset = 4 + length;
+  for (const size of sizes) {
+    offsets.push(offset);
+    offset += size;
+  }
+  const slice = (i, type) => file.slice(offsets[i], offsets[i] + sizes[i], type);
+
+  const bytes = new Map();
+  const pending = [];
+  JSON.parse(json, (key, item) => {
+    if (item && typeof item === "object" && "$bytes" in item) {
+      pending.push(slice(item.$bytes).arrayBuffer().then((buffer) => bytes.set(item.$bytes, new Uint8Array(buffer))));
+    }
+    return item;
+  });
+  await Promise.all(pending);
+
+  return JSON.parse(json, (key, item) => {
+    if (item && typeof item === "object" && "$blob" in item) return slice(item.$blob, item.type);
+    if (item && typeof item === "object" && "$bytes" in item) return bytes.get(item.$bytes);
+    return item;
+  });
+}
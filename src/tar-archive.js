@@ -0,0 +1,341 @@
+/**
+ * Tar Archive Utilities
+ *
+ * Minimal POSIX tar (ustar) reading and writing for FileArchive, without dependencies.
+ * Writing streams entries one at a time; names longer than 100 bytes and files of 8 GiB or
+ * more get a PAX extended header. Reading understands ustar, PAX and GNU long names and
+ * returns entries shaped like unzipit's (name, size, lastModDate, isDirectory, blob(),
+ * text(), arrayBuffer()), whose contents are slices of the archive Blob read on demand.
+ * Gzip compression is left to CompressionStream and DecompressionStream.
+ *
+ * @example
+ * const stream = tarStream([{ name: 'notes/a.txt', input: new Blob(['hello']) }]);
+ * const tar = await new Response(stream).blob();
+ * const { entries } = await untar(tar);
+ * const text = await entries['notes/a.txt'].text();
+ */
+
+/**
+ * Size of a tar header and of the blocks file data is padded to
+ * @type {number}
+ */
+const BLOCK_SIZE = 512;
+
+/**
+ * Largest size that fits the 11 octal digits of a ustar header
+ * @type {number}
+ */
+const MAX_OCTAL_SIZE = 0o77777777777;
+
+/**
+ * Checks whether bytes start with a ustar header (POSIX or GNU)
+ * @param {Uint8Array} bytes - At least the first 263 bytes of the data
+ * @returns {boolean} True when the ustar magic is present
+ */
+export function isTar(bytes) {
+  return bytes.length >= 262 && new TextDecoder().decode(bytes.subarray(257, 262)) === "ustar";
+}
+
+/**
+ * Streams a tar archive of the given entries
+ * Entries are read one at a time as the stream is consumed. Streamed inputs must give their
+ * size, since it precedes the data; without one they are buffered first.
+ * @param {Iterable<Object>|AsyncIterable<Object>} entries - Entries with name (folders end in
+ *   "/"), input (Blob, ReadableStream, string or bytes), optional size and lastModified
+ * @returns {ReadableStream<Uint8Array>} The tar bytes
+ */
+export function tarStream(entries) {
+  const chunks = tarChunks(entries);
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await chunks.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    async cancel(reason) {
+      await chunks.return(reason);
+    },
+  });
+}
+
+/**
+ * Yields the blocks of a tar archive: each entry's headers, data and padding, then the
+ * two empty blocks that end the archive
+ * @param {Iterable<Object>|AsyncIterable<Object>} entries - Entries; see tarStream()
+ * @yields {Uint8Array} Archive bytes
+ * @throws {Error} When a streamed input does not have the size it declared
+ */
+async function* tarChunks(entries) {
+  for await (const entry of entries) {
+    const mtime = entry.lastModified ? new Date(entry.lastModified).getTime() : Date.now();
+    if (entry.name.endsWith("/")) {
+      yield* entryHeaders(entry.name, 0, mtime, "5");
+      continue;
+    }
+
+    let input = entry.input;
+    if (!(input instanceof Blob) && !(input instanceof ReadableStream)) {
+      input = new Blob(input == null ? [] : [input]);
+    }
+    if (input instanceof ReadableStream && typeof entry.size !== "number") {
+      input = await new Response(input).blob();
+    }
+    const size = input instanceof Blob ? input.size : entry.size;
+    yield* entryHeaders(entry.name, size, mtime, "0");
+
+    const reader = (input instanceof Blob ? input.stream() : input).getReader();
+    let written = 0;
+    let finished = false;
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        written += value.byteLength;
+        if (written > size) break;
+        yield value;
+      }
+      finished = written === size;
+    } finally {
+      if (!finished) await reader.cancel().catch(() => {});
+      reader.releaseLock();
+    }
+    if (!finished) {
+      throw new Error(`Tar entry ${entry.name} does not have its declared size of ${size} bytes`);
+    }
+    if (size % BLOCK_SIZE) {
+      yield new Uint8Array(BLOCK_SIZE - (size % BLOCK_SIZE));
+    }
+  }
+  yield new Uint8Array(BLOCK_SIZE * 2);
+}
+
+/**
+ * Builds the header blocks of an entry, preceded by a PAX header when the name or size
+ * does not fit the ustar fields
+ * @param {string} name - Entry name
+ * @param {number} size - Data size in bytes
+ * @param {number} mtime - Modification time in milliseconds
+ * @param {string} type - Type flag: "0" for files, "5" for folders
+ * @returns {Array<Uint8Array>} The header blocks
+ */
+function entryHeaders(name, size, mtime, type) {
+  const encoder = new TextEncoder();
+  const records = [];
+  if (encoder.encode(name).length > 100) records.push(paxRecord("path", name));
+  if (size > MAX_OCTAL_SIZE) records.push(paxRecord("size", String(size)));
+  const header = ustarHeader(name, size > MAX_OCTAL_SIZE ? 0 : size, mtime, type);
+  if (records.length === 0) return [header];
+
+  const pax = encoder.encode(records.join(""));
+  const padded = new Uint8Array(Math.ceil(pax.length / BLOCK_SIZE) * BLOCK_SIZE);
+  padded.set(pax);
+  return [ustarHeader("PaxHeader", pax.length, mtime, "x"), padded, header];
+}
+
+/**
+ * Formats a PAX extended header record ("<length> <key>=<value>\n", the length counting itself)
+ * @param {string} key - Record key
+ * @param {string} value - Record value
+ * @returns {string} The record
+ */
+function paxRecord(key, value) {
+  const rest = new TextEncoder().encode(` ${key}=${value}\n`).length;
+  let length = rest + String(rest).length;
+  if (String(length).length !== String(rest).length) length = rest + String(length).length;
+  return `${length} ${key}=${value}\n`;
+}
+
+/**
+ * Builds one ustar header block
+ * @param {string} name - Entry name (cut to 100 bytes; longer names go in a PAX header)
+ * @param {number} size - Data size in bytes
+ * @param {number} mtime - Modification time in milliseconds
+ * @param {string} type - Type flag
+ * @returns {Uint8Array} The header
+ */
+function ustarHeader(name, size, mtime, type) {
+  const header = new Uint8Array(BLOCK_SIZE);
+  const write = (offset, length, text) => header.set(new TextEncoder().encode(text).subarray(0, length), offset);
+  const writeOctal = (offset, length, value) => write(offset, length - 1, value.toString(8).padStart(length - 1, "0"));
+
+  write(0, 100, name);
+  writeOctal(100, 8, type === "5" ? 0o755 : 0o644);
+  writeOctal(108, 8, 0);
+  writeOctal(116, 8, 0);
+  writeOctal(124, 12, size);
+  writeOctal(136, 12, Math.floor(mtime / 1000));
+  write(156, 1, type);
+  write(257, 6, "ustar");
+  write(263, 2, "00");
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  write(148, 8, `${checksum.toString(8).padStart(6, "0")}\0 `);
+  return header;
+}
+
+/**
+ * Reads the entries of a tar archive
+ * Only headers are read up front; entry contents stay slices of the archive Blob.
+ * Links, devices and other special entries are left out.
+ * @param {Blob} blob - The (uncompressed) tar archive
+ * @param {Object} [options] - Read options
+ * @param {number} [options.limit=Infinity] - Stop reading after this many entries, so a caller
+ *   enforcing an entry limit need not list every entry of a hostile archive
+ * @returns {Promise<Object>} { entries, limited }: entries keyed by entry name (folder names end
+ *   in "/"), and whether reading stopped at the limit with more entries left
+ * @throws {Error} When a header is damaged or the archive is truncated
+ */
+export async function untar(blob, { limit = Infinity } = {}) {
+  const entries = {};
+  let count = 0;
+  let offset = 0;
+  let extended = {};
+  let longName = null;
+
+  while (offset + BLOCK_SIZE <= blob.size) {
+    const header = new Uint8Array(await blob.slice(offset, offset + BLOCK_SIZE).arrayBuffer());
+    if (header.every((byte) => byte === 0)) break;
+    if (!validChecksum(header)) {
+      throw new Error(`Invalid tar header at byte ${offset}`);
+    }
+
+    const type = header[156] === 0 ? "0" : String.fromCharCode(header[156]);
+    const isExtension = type === "x" || type === "L" || type === "g";
+    const dataStart = offset + BLOCK_SIZE;
+    // A PAX size replaces the header's, which is 0 for entries too large for octal
+    const size = !isExtension && extended.size !== undefined ? Number(extended.size) : readNumber(header, 124, 12);
+    if (!Number.isSafeInteger(size) || size < 0 || dataStart + size > blob.size) {
+      throw new Error("Truncated tar archive");
+    }
+    offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    // Extended headers describe the entry that follows them
+    if (type === "x") {
+      extended = parsePax(await blob.slice(dataStart, dataStart + size).text());
+      continue;
+    }
+    if (type === "L") {
+      longName = (await blob.slice(dataStart, dataStart + size).text()).replace(/\0+$/, "");
+      continue;
+    }
+    if (type === "g") continue;
+
+    // GNU headers keep other fields where POSIX has the name prefix
+    const posix = readString(header, 257, 6) === "ustar";
+    const prefix = posix ? readString(header, 345, 155) : "";
+    let name = extended.path ?? longName ?? (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+    const mtime = extended.mtime !== undefined ? Number(extended.mtime) : readNumber(header, 136, 12);
+    extended = {};
+    longName = null;
+
+    const isDirectory = type === "5";
+    if (!isDirectory && type !== "0" && type !== "7") continue;
+    if (isDirectory && !name.endsWith("/")) name += "/";
+    if (count === limit) {
+      return { entries, limited: true };
+    }
+    count++;
+    entries[name] = tarEntry(blob, name, dataStart, isDirectory ? 0 : size, mtime, isDirectory);
+  }
+
+  return { entries, limited: false };
+}
+
+/**
+ * Creates an entry object whose contents are read from the archive on demand
+ * @param {Blob} blob - The tar archive
+ * @param {string} name - Entry name
+ * @param {number} start - Offset of the entry's data
+ * @param {number} size - Data size in bytes
+ * @param {number} mtime - Modification time in seconds
+ * @param {boolean} isDirectory - Whether the entry is a folder
+ * @returns {Object} The entry
+ */
+function tarEntry(blob, name, start, size, mtime, isDirectory) {
+  return {
+    name,
+    size,
+    lastModDate: new Date(mtime * 1000),
+    isDirectory,
+    async blob(type = "") {
+      return blob.slice(start, start + size, type);
+    },
+    async text() {
+      return await blob.slice(start, start + size).text();
+    },
+    async arrayBuffer() {
+      return await blob.slice(start, start + size).arrayBuffer();
+    },
+  };
+}
+
+/**
+ * Checks a header's checksum (the unsigned sum of its bytes, checksum field as spaces)
+ * @param {Uint8Array} header - The header block
+ * @returns {boolean} True when the stored checksum matches
+ */
+function validChecksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum === readNumber(header, 148, 8);
+}
+
+/**
+ * Reads a NUL-terminated UTF-8 header field
+ * @param {Uint8Array} header - The header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} The field text
+ */
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return new TextDecoder().decode(end === -1 ? field : field.subarray(0, end));
+}
+
+/**
+ * Reads a numeric header field, octal text or GNU base-256 (high bit of the first byte set)
+ * @param {Uint8Array} header - The header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {number} The value
+ */
+function readNumber(header, offset, length) {
+  if (header[offset] & 0x80) {
+    let value = header[offset] & 0x7f;
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + header[offset + i];
+    }
+    return value;
+  }
+  const text = readString(header, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Parses the records of a PAX extended header
+ * @param {string} text - The header data
+ * @returns {Object<string, string>} Values by key
+ */
+function parsePax(text) {
+  const values = {};
+  const bytes = new TextEncoder().encode(text);
+  let offset = 0;
+  while (offset < bytes.length) {
+    const space = bytes.indexOf(0x20, offset);
+    const length = parseInt(new TextDecoder().decode(bytes.subarray(offset, space)), 10);
+    if (space === -1 || !length) break;
+    const record = new TextDecoder().decode(bytes.subarray(space + 1, offset + length - 1));
+    const equals = record.indexOf("=");
+    values[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return values;
+}